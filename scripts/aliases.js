@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * Curate scraped truck names.
+ *
+ * Every name the scraper can't match becomes a new truck and is logged in
+ * static/data/unmatched.json. This lists those names, and any placeholder
+ * trucks still on legacy timestamp IDs (truck-1771400426440, see
+ * migrate-ids.js), with their likeliest existing trucks, and accepts a match:
+ * the alias goes into static/data/aliases.json and the new truck is merged
+ * into the existing one (see lib/merge.js), leaving a redirect.
+ *
+ * Usage:
+ *   node scripts/aliases.js list [--days <n>] [--top <n>]
+ *       Placeholder trucks and names unmatched in the last <n> days (default 30),
+ *       each with its <n> best candidate trucks (default 3)
+ *   node scripts/aliases.js accept <name|truck-id> <truck-id> [--dry-run]
+ *       Map a scraped name, or every name of a placeholder truck, to a truck
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+
+import { normalizeName, rankMatches, isPlaceholderId } from './lib/normalize.js';
+import { loadAliases, saveAliases, loadUnmatched, saveUnmatched } from './lib/aliases.js';
+import { mergeTrucks } from './lib/merge.js';
+import { TRUCKS_PATH, SCHEDULE_PATH } from './lib/paths.js';
+
+const USAGE = `Usage:
+  node scripts/aliases.js list [--days <n>] [--top <n>]
+  node scripts/aliases.js accept <name|truck-id> <truck-id> [--dry-run]`;
+
+/**
+ * @param {string} path
+ * @returns {any}
+ */
+function readJson(path) {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * @param {string} path
+ * @param {any} data
+ */
+function writeJson(path, data) {
+    writeFileSync(path, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Print candidate trucks for a set of names, best first.
+ * @param {string[]} names - Every name the unmatched truck was listed under
+ * @param {Array<{id: string, name: string}>} trucks
+ * @param {string} excludeId - The unmatched truck itself
+ * @param {Record<string, string>} aliases
+ * @param {number} top
+ */
+function printCandidates(names, trucks, excludeId, aliases, top) {
+    const candidates = trucks.filter(t => t.id !== excludeId);
+    const best = new Map();
+    for (const name of names) {
+        for (const match of rankMatches(name, candidates, { aliases, limit: top })) {
+            const prev = best.get(match.truck.id);
+            if (!prev || match.score > prev.score) best.set(match.truck.id, match);
+        }
+    }
+    const ranked = [...best.values()].sort((a, b) => b.score - a.score).slice(0, top);
+    if (ranked.length === 0) {
+        console.log('      (no likely matches — a new truck?)');
+        return;
+    }
+    for (const { truck, score, via } of ranked) {
+        const note = via !== truck.name ? ` via "${via}"` : '';
+        const flag = isPlaceholderId(truck.id) ? ' [placeholder]' : '';
+        console.log(`      ${score.toFixed(2)}  ${truck.id}  ${truck.name}${note}${flag}`);
+    }
+}
+
+/**
+ * `list`: show placeholder trucks and recent unmatched names with candidates.
+ * @param {{days: number, top: number}} options
+ */
+function list({ days, top }) {
+    const { trucks } = readJson(TRUCKS_PATH);
+    const { schedule } = readJson(SCHEDULE_PATH);
+    const aliases = loadAliases();
+    const log = loadUnmatched();
+
+    const cutoff = new Date(Date.now() - days * 86400000).toISOString();
+    const recent = log.names.filter(n => n.last_seen >= cutoff);
+    const entryCounts = new Map();
+    for (const e of schedule) entryCounts.set(e.truck_id, (entryCounts.get(e.truck_id) || 0) + 1);
+
+    const placeholders = trucks.filter(t => isPlaceholderId(t.id));
+    console.log(`🔎 Placeholder trucks (${placeholders.length})\n`);
+    for (const truck of placeholders) {
+        const names = [truck.name, ...recent.filter(n => n.truck_id === truck.id).map(n => n.name)];
+        const listed = [...new Set(names)].slice(1).map(n => `"${n}"`).join(', ');
+        console.log(`  ${truck.id}  ${truck.name}  (${entryCounts.get(truck.id) || 0} scheduled)${listed ? `  also listed as ${listed}` : ''}`);
+        printCandidates([...new Set(names)], trucks, truck.id, aliases, top);
+    }
+
+    // Newly discovered trucks
+    const others = recent.filter(n => !isPlaceholderId(n.truck_id));
+    console.log(`\n🆕 Other unmatched names, last ${days} day(s) (${others.length})\n`);
+    for (const entry of others) {
+        console.log(`  "${entry.name}" → ${entry.truck_id}  [${entry.venue_ids.join(', ')}] last seen ${entry.last_seen.slice(0, 10)}`);
+        printCandidates([entry.name], trucks, entry.truck_id, aliases, top);
+    }
+
+    const truckIds = new Set(trucks.map(t => t.id));
+    const dangling = Object.entries(aliases).filter(([, id]) => !truckIds.has(id));
+    if (dangling.length > 0) {
+        console.log(`\n⚠ Aliases pointing at unknown trucks (${dangling.length})\n`);
+        for (const [name, id] of dangling) console.log(`  "${name}" → ${id}`);
+    }
+
+    console.log(`\nAccept a match with: node scripts/aliases.js accept <name|truck-id> <truck-id>`);
+}
+
+/**
+ * `accept`: alias a name (or a placeholder truck's names) to a truck and move
+ * the placeholder's schedule and history over to it.
+ * @param {string} source - Scraped name or placeholder truck ID
+ * @param {string} targetId
+ * @param {{dryRun: boolean}} options
+ */
+function accept(source, targetId, { dryRun }) {
+    const trucksData = readJson(TRUCKS_PATH);
+    const scheduleData = readJson(SCHEDULE_PATH);
+    const aliases = loadAliases();
+    const log = loadUnmatched();
+
+    const target = trucksData.trucks.find(t => t.id === targetId);
+    if (!target) throw new Error(`Unknown truck ID: ${targetId}`);
+
+    // Resolve the source to the truck its name was filed under, if any
+    const normalized = normalizeName(source);
+    const sourceIsId = trucksData.trucks.some(t => t.id === source);
+    const sourceTruck = trucksData.trucks.find(t => t.id === source)
+        || trucksData.trucks.find(t => t.id === log.names.find(n => normalizeName(n.name) === normalized)?.truck_id)
+        || trucksData.trucks.find(t => normalizeName(t.name) === normalized);
+    const retire = sourceTruck && sourceTruck.id !== target.id ? sourceTruck : null;
+
+    if (retire && !isPlaceholderId(retire.id) && !log.names.some(n => n.truck_id === retire.id)) {
+        throw new Error(`${retire.id} is a curated truck, not a placeholder or newly discovered one — refusing to retire it`);
+    }
+
+    // Every name the retired truck was listed under becomes an alias
+    const names = new Set(sourceIsId ? [] : [source]);
+    if (retire) {
+        names.add(retire.name);
+        for (const n of log.names) if (n.truck_id === retire.id) names.add(n.name);
+    }
+
+    let aliasesAdded = 0;
+    for (const name of names) {
+        const key = normalizeName(name);
+        if (aliases[key] === target.id) continue;
+        if (aliases[key]) console.log(`  ↻ Alias "${key}" was ${aliases[key]}`);
+        aliases[key] = target.id;
+        aliasesAdded++;
+        console.log(`  + "${key}" → ${target.id}`);
+    }
+
+    let moved = { scheduleMoved: 0, historyMoved: 0 };
+    if (retire) {
+        moved = mergeTrucks(trucksData, scheduleData, aliases, retire.id, target.id, { dryRun });
+    }
+    log.names = log.names.filter(n => (!retire || n.truck_id !== retire.id) && !names.has(n.name));
+
+    console.log(`\n${dryRun ? '🔍 Dry run — would have' : '✓'} added ${aliasesAdded} alias(es) → ${target.id} (${target.name})`);
+    if (retire) {
+        console.log(`  ${dryRun ? 'would retire' : 'retired'} ${retire.id} (${retire.name}): ${moved.scheduleMoved} schedule and ${moved.historyMoved} history entries moved, redirected to ${target.id}`);
+    }
+    if (dryRun) return;
+
+    saveAliases(aliases);
+    saveUnmatched(log);
+    if (retire) {
+        writeJson(TRUCKS_PATH, trucksData);
+        writeJson(SCHEDULE_PATH, scheduleData);
+    }
+}
+
+function main() {
+    const { values, positionals } = parseArgs({
+        args: process.argv.slice(2),
+        allowPositionals: true,
+        options: {
+            days: { type: 'string', default: '30' },
+            top: { type: 'string', default: '3' },
+            'dry-run': { type: 'boolean', default: false }
+        }
+    });
+    const [command, ...rest] = positionals;
+
+    if (command === 'list') {
+        list({ days: Number(values.days), top: Number(values.top) });
+    } else if (command === 'accept' && rest.length === 2) {
+        accept(rest[0], rest[1], { dryRun: values['dry-run'] });
+    } else {
+        console.error(USAGE);
+        process.exitCode = 1;
+    }
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(`✗ ${err.message}`);
+    process.exit(1);
+}
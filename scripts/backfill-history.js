@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill the history archive from git history of schedule.json.
+ *
+ * The scrape workflow commits static/data/ several times a day, so past
+ * lineups already live in git. This walks every commit that touched
+ * schedule.json or trucks.json (oldest first), and for each date + venue keeps
+ * the lineup from the latest commit that still listed it. Truck IDs that were
+ * later renamed or merged are resolved to today's IDs via the name they had at
+ * the time. Dates already in the archive keep their live-run data.
+ *
+ * Needs full git history (a shallow CI checkout only has the tip commit).
+ *
+ * Usage: node scripts/backfill-history.js [--dry-run]
+ */
+
+import { readFileSync } from 'node:fs';
+import { execFileSync } from 'node:child_process';
+import { parseArgs } from 'node:util';
+
+import { findMatch } from './lib/normalize.js';
+import { ROOT_DIR, TRUCKS_PATH } from './lib/paths.js';
+import { loadHistoryMonth, writeHistoryMonth, historyKey } from './lib/history.js';
+
+const SCHEDULE_REL = 'static/data/schedule.json';
+const TRUCKS_REL = 'static/data/trucks.json';
+
+/**
+ * Run a git command in the repo root and return stdout.
+ * @param {string[]} args
+ * @returns {string}
+ */
+function git(args) {
+    return execFileSync('git', args, { cwd: ROOT_DIR, encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024 });
+}
+
+/**
+ * Read and parse a JSON file as of a commit. Returns null if the file is
+ * missing or unparsable at that commit.
+ * @param {string} sha
+ * @param {string} path - Repo-relative path
+ * @returns {any|null}
+ */
+function showJson(sha, path) {
+    try {
+        return JSON.parse(git(['show', `${sha}:${path}`]));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * List commits touching the data files, oldest first.
+ * @returns {Array<{sha: string, committedAt: string}>}
+ */
+function listDataCommits() {
+    const out = git(['log', '--reverse', '--format=%H %cI', '--', SCHEDULE_REL, TRUCKS_REL]).trim();
+    if (!out) return [];
+    return out.split('\n').map(line => {
+        const [sha, date] = line.split(' ');
+        return { sha, committedAt: new Date(date).toISOString() };
+    });
+}
+
+async function main() {
+    const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: { 'dry-run': { type: 'boolean', default: false } }
+    });
+    const dryRun = values['dry-run'];
+
+    console.log('🗄  Otemachi Eats — History Backfill');
+    console.log('====================================\n');
+
+    const commits = listDataCommits();
+    console.log(`Found ${commits.length} commit(s) touching data files\n`);
+
+    const current = JSON.parse(readFileSync(TRUCKS_PATH, 'utf-8'));
+    const currentTrucks = current.trucks;
+    const currentIds = new Set(currentTrucks.map(t => t.id));
+
+    /** Truck ID → name as of the latest commit that had that ID */
+    const historicalNames = new Map();
+    /** "date|venue" → {observedAt, truckIds: string[]} from the latest commit listing it */
+    const lineups = new Map();
+    /** "date|venue|truck" (raw IDs) → observation times */
+    const seen = new Map();
+
+    let scanned = 0;
+    for (const { sha, committedAt } of commits) {
+        const trucksData = showJson(sha, TRUCKS_REL);
+        for (const t of trucksData?.trucks || []) {
+            if (t.id && t.name) historicalNames.set(t.id, t.name);
+        }
+
+        const scheduleData = showJson(sha, SCHEDULE_REL);
+        if (!Array.isArray(scheduleData?.schedule)) continue;
+        scanned++;
+
+        // Prefer the scrape time recorded in the file over the commit time
+        const observedAt = scheduleData.last_updated
+            ? new Date(scheduleData.last_updated).toISOString()
+            : committedAt;
+
+        const byDateVenue = new Map();
+        for (const e of scheduleData.schedule) {
+            if (!e.date || !e.venue_id || !e.truck_id || e.cancelled) continue;
+            const group = `${e.date}|${e.venue_id}`;
+            if (!byDateVenue.has(group)) byDateVenue.set(group, []);
+            byDateVenue.get(group).push(e.truck_id);
+
+            const key = historyKey(e);
+            const times = seen.get(key);
+            if (times) {
+                times.last = observedAt;
+            } else {
+                seen.set(key, { first: observedAt, last: observedAt });
+            }
+        }
+
+        // Later commits overwrite earlier ones: the latest observation wins
+        for (const [group, truckIds] of byDateVenue) {
+            lineups.set(group, { observedAt, truckIds });
+        }
+    }
+
+    console.log(`Scanned ${scanned} schedule snapshot(s), ${lineups.size} date/venue lineup(s)\n`);
+
+    // Resolve historical IDs to today's IDs via the name they had at the time
+    const resolved = new Map();
+    const unresolved = new Set();
+    function resolveTruckId(id) {
+        if (resolved.has(id)) return resolved.get(id);
+        let result = id;
+        if (!currentIds.has(id)) {
+            const name = historicalNames.get(id);
+            const match = name ? findMatch(name, currentTrucks) : null;
+            if (match) {
+                result = match.id;
+            } else {
+                unresolved.add(id);
+            }
+        }
+        resolved.set(id, result);
+        return result;
+    }
+
+    // Build history entries grouped by month
+    const byMonth = new Map();
+    for (const [group, { truckIds }] of lineups) {
+        const [date, venueId] = group.split('|');
+        const month = date.slice(0, 7);
+        if (!byMonth.has(month)) byMonth.set(month, new Map());
+        const entries = byMonth.get(month);
+
+        for (const rawId of truckIds) {
+            const truckId = resolveTruckId(rawId);
+            const times = seen.get(`${date}|${venueId}|${rawId}`);
+            const key = `${date}|${venueId}|${truckId}`;
+            const prev = entries.get(key);
+            // Two old IDs may merge into one: widen the seen range
+            entries.set(key, {
+                date,
+                venue_id: venueId,
+                truck_id: truckId,
+                first_seen: prev && prev.first_seen < times.first ? prev.first_seen : times.first,
+                last_seen: prev && prev.last_seen > times.last ? prev.last_seen : times.last
+            });
+        }
+    }
+
+    // Merge into the archive: live-run data wins for any date/venue it covers
+    let added = 0;
+    for (const month of [...byMonth.keys()].sort()) {
+        const existing = loadHistoryMonth(month);
+        const covered = new Set(existing.entries.map(e => `${e.date}|${e.venue_id}`));
+        const existingKeys = new Map(existing.entries.map(e => [historyKey(e), e]));
+
+        const next = [...existing.entries];
+        let monthAdded = 0;
+        for (const [key, entry] of byMonth.get(month)) {
+            const live = existingKeys.get(key);
+            if (live) {
+                // Same entry seen earlier in git than the archive knew
+                if (entry.first_seen < live.first_seen) live.first_seen = entry.first_seen;
+                continue;
+            }
+            if (covered.has(`${entry.date}|${entry.venue_id}`)) continue;
+            next.push(entry);
+            monthAdded++;
+        }
+
+        added += monthAdded;
+        console.log(`  ${month}: +${monthAdded} entries (${next.length} total)`);
+        if (!dryRun) {
+            writeHistoryMonth({
+                month,
+                last_updated: existing.last_updated || new Date().toISOString(),
+                entries: next
+            });
+        }
+    }
+
+    console.log('\n====================================');
+    console.log(`✓ ${added} history entries backfilled${dryRun ? ' (dry run — nothing written)' : ''}`);
+    if (unresolved.size > 0) {
+        console.log(`  ⚠ ${unresolved.size} truck ID(s) could not be resolved and were kept as-is: ${[...unresolved].join(', ')}`);
+    }
+    console.log('');
+}
+
+main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+});
@@ -1,12 +1,38 @@
 /**
  * Scraper configuration: venue registry with URLs and parser assignments.
+ *
+ * Venues with a simple lineup page use the declarative 'generic' parser and
+ * describe the page with a `spec` (see scripts/scrapers/generic.js).
+ * Only sites that need real logic get a dedicated module under scrapers/.
  */
 
 export const VENUES = {
     kawabata: {
         id: 'kawabata',
         url: 'https://otemachi-foodgarden.com/list/',
-        parser: 'kawabata'
+        parser: 'generic',
+        // <h2>月曜日monday</h2><ul><li><a href="/list/123"><img alt/><h2>Name</h2></a></li>...</ul>
+        spec: {
+            dates: 'weekday-headings',
+            headings: 'h2:not(a h2)',
+            list: 'ul',
+            item: 'li a',
+            href: /\/list\/\d+/,
+            vendor: ['h2', 'img@alt'],
+            // Detail page: <h1>Name</h1><p>Description</p><h2>menu</h2><ul><li>Item 800円（税込）</li></ul>
+            detail: {
+                base: 'https://otemachi-foodgarden.com',
+                text: [
+                    'meta[property="og:description"]@content',
+                    'h1 ~ p',
+                    'h2:icontains("menu") + ul li'
+                ],
+                strip: [/\d[\d,]*円[（(]税込[）)]/g],
+                exclude: [/メニューイメージ/],
+                menu: 'h2:icontains("menu") + ul li',
+                description: ['h1 ~ p', 'meta[property="og:description"]@content']
+            }
+        }
     },
     'otemachi-place': {
         id: 'otemachi-place',
@@ -36,10 +62,26 @@ export const VENUES = {
     sankei: {
         id: 'sankei',
         url: 'https://www.w-tokyodo.com/neostall/space/lunch/?lunch=%E6%9D%B1%E4%BA%AC%E3%82%B5%E3%83%B3%E3%82%B1%E3%82%A4%E3%83%93%E3%83%AB%20%E3%83%8D%E3%82%AA%E5%B1%8B%E5%8F%B0%E6%9D%91',
-        parser: 'neo-yatai'
+        parser: 'generic',
+        // Tabs "02/16（月）" 1:1 with panels of <h4> vendor names and 【section】 headers
+        spec: {
+            dates: 'tabs',
+            tabs: '.cnt_tabs_menu li',
+            panels: '.cnt_tabs_inner > li',
+            item: 'h4',
+            skip: [/^【.*】/],
+            clean: /[｢｣「」]/g
+        }
     }
 };
 
+/**
+ * Days of schedule to scrape, starting today. The UI pages through them a
+ * week at a time. Weekday-keyed sites only ever fill the first week; dated
+ * and recurring listings fill the rest.
+ */
+export const SCHEDULE_HORIZON_DAYS = 14;
+
 /**
  * Request options for all scrapers.
  */
@@ -50,3 +92,27 @@ export const FETCH_OPTIONS = {
         'Accept-Language': 'ja,en;q=0.5'
     }
 };
+
+/**
+ * Politeness and resilience settings for the shared HTTP client (lib/http.js).
+ * Timeouts and retries are sized so a run stays well inside the CI budget.
+ */
+export const HTTP_OPTIONS = {
+    timeout: 15000,
+    perHostConcurrency: 2,
+    minDelay: 500,
+    retries: 2,
+    backoff: 1000,
+    maxRetryAfter: 30000,
+    robots: true
+};
+
+/**
+ * On-disk HTTP cache (lib/cache.js). List pages are always revalidated, since
+ * lineups change; detail pages rarely do and are reused for days.
+ */
+export const HTTP_CACHE = {
+    listTtl: 0,
+    detailTtl: 3 * 24 * 60 * 60 * 1000,
+    maxAge: 30 * 24 * 60 * 60 * 1000
+};
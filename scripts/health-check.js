@@ -18,7 +18,8 @@ try {
     const trucks = JSON.parse(readFileSync(join(DATA_DIR, 'trucks.json'), 'utf-8'));
 
     const venueIds = trucks.venues.map(v => v.id);
-    const entries = schedule.schedule || [];
+    // Cancelled entries are no longer expected to happen
+    const entries = (schedule.schedule || []).filter(e => !e.cancelled);
 
     // Determine the date window
     const allDates = [...new Set(entries.map(e => e.date))].sort();
@@ -0,0 +1,104 @@
+/**
+ * Curated name aliases and the log of scraped names that matched no known truck.
+ *
+ * static/data/aliases.json maps normalized scraped names to truck IDs, for
+ * trucks whose listed names differ too much for findMatch's fuzzy rules
+ * (e.g. a Japanese listing for a truck filed under its English name):
+ *
+ *   { "aliases": { "キッチンあがいてぃーら": "kitchen-agaityla" } }
+ *
+ * static/data/unmatched.json is written by each scrape run: every raw name
+ * that created a new truck or resolved to a placeholder (truck-<timestamp>)
+ * truck, for `scripts/aliases.js` to offer for curation:
+ *
+ *   {
+ *     "last_updated": "2026-02-24T22:03:59.268Z",
+ *     "names": [
+ *       { "name": "韓美味", "truck_id": "truck-1771400426440", "venue_ids": ["tokyo-torch-park"],
+ *         "first_seen": "2026-02-18T07:40:26.440Z", "last_seen": "2026-02-24T22:03:59.268Z" }
+ *     ]
+ *   }
+ */
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { ALIASES_PATH, UNMATCHED_PATH } from './paths.js';
+
+/** Unmatched names not seen for this long drop out of the log */
+const UNMATCHED_RETENTION_DAYS = 60;
+
+/**
+ * @typedef {Object} UnmatchedName
+ * @property {string} name - Raw scraped name, as first seen
+ * @property {string} truck_id - Truck the name resolved to (placeholder or newly created)
+ * @property {string[]} venue_ids
+ * @property {string} first_seen - ISO timestamp
+ * @property {string} last_seen - ISO timestamp
+ */
+
+/**
+ * Load the alias table.
+ * @param {string} [path]
+ * @returns {Record<string, string>} Normalized scraped name → truck ID
+ */
+export function loadAliases(path = ALIASES_PATH) {
+    if (!existsSync(path)) return {};
+    return JSON.parse(readFileSync(path, 'utf-8')).aliases || {};
+}
+
+/**
+ * Write the alias table, keeping existing entries in place and appending new ones.
+ * @param {Record<string, string>} aliases
+ * @param {string} [path]
+ */
+export function saveAliases(aliases, path = ALIASES_PATH) {
+    writeFileSync(path, JSON.stringify({ aliases }, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Load the unmatched-name log.
+ * @param {string} [path]
+ * @returns {{last_updated: string|null, names: UnmatchedName[]}}
+ */
+export function loadUnmatched(path = UNMATCHED_PATH) {
+    if (!existsSync(path)) return { last_updated: null, names: [] };
+    return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * Write the unmatched-name log, sorted by name for stable diffs.
+ * @param {{last_updated: string|null, names: UnmatchedName[]}} log
+ * @param {string} [path]
+ */
+export function saveUnmatched(log, path = UNMATCHED_PATH) {
+    const names = [...log.names].sort((a, b) => a.name.localeCompare(b.name) || a.truck_id.localeCompare(b.truck_id));
+    writeFileSync(path, JSON.stringify({ ...log, names }, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Fold this run's unmatched names into the log and drop stale ones.
+ * @param {{last_updated: string|null, names: UnmatchedName[]}} log - Mutated
+ * @param {Array<{name: string, truck_id: string, venue_id: string}>} seen - This run's unmatched names
+ * @param {Date} now - Run timestamp
+ * @returns {number} Names seen for the first time
+ */
+export function recordUnmatched(log, seen, now) {
+    const stamp = now.toISOString();
+    const byKey = new Map(log.names.map(n => [`${n.name}|${n.truck_id}`, n]));
+    let added = 0;
+
+    for (const { name, truck_id, venue_id } of seen) {
+        const key = `${name}|${truck_id}`;
+        let entry = byKey.get(key);
+        if (!entry) {
+            entry = { name, truck_id, venue_ids: [], first_seen: stamp, last_seen: stamp };
+            byKey.set(key, entry);
+            added++;
+        }
+        entry.last_seen = stamp;
+        if (!entry.venue_ids.includes(venue_id)) entry.venue_ids = [...entry.venue_ids, venue_id].sort();
+    }
+
+    const cutoff = new Date(now.getTime() - UNMATCHED_RETENTION_DAYS * 86400000).toISOString();
+    log.names = [...byKey.values()].filter(n => n.last_seen >= cutoff);
+    log.last_updated = stamp;
+    return added;
+}
@@ -0,0 +1,139 @@
+/**
+ * Persistent on-disk HTTP cache for scraper fetches.
+ *
+ * One JSON file per URL under the cache directory (.cache/http/ by default,
+ * persisted between CI runs by the workflow):
+ *
+ *   { "url": "...", "status": 200, "etag": "\"abc\"", "last_modified": "...",
+ *     "fetched_at": "2026-02-25T06:00:00.000Z", "body": "<html>..." }
+ *
+ * A page younger than its TTL is served straight from disk. An older one is
+ * revalidated with If-None-Match / If-Modified-Since; a 304 serves the cached
+ * body and restarts its TTL. Only 200 responses are stored, and entries not
+ * refreshed within `maxAge` are pruned.
+ */
+import { mkdirSync, readFileSync, writeFileSync, readdirSync, rmSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { createHash } from 'node:crypto';
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} url
+ * @property {number} status
+ * @property {string} [etag]
+ * @property {string} [last_modified]
+ * @property {string} fetched_at - ISO timestamp of the last 200 or 304
+ * @property {string} body
+ */
+
+/**
+ * Stable, filesystem-safe file name for a URL.
+ * @param {string} url
+ * @returns {string} e.g. "www.mellow.jp-3f2a9c0d1e4b5a6f.json"
+ */
+function entryFileName(url) {
+    const host = new URL(url).hostname;
+    const hash = createHash('sha1').update(url).digest('hex').slice(0, 16);
+    return `${host}-${hash}.json`;
+}
+
+/**
+ * Wrap a fetch with the on-disk cache.
+ * @param {typeof fetch} fetchPage - Usually the shared HTTP client (lib/http.js)
+ * @param {Object} options
+ * @param {string} options.dir - Cache directory
+ * @param {(url: string) => number} options.ttlFor - Milliseconds a page is reused without asking
+ * @param {number} options.maxAge - Entries older than this (ms) are pruned
+ * @param {() => Date} [options.clock]
+ * @returns {{fetch: typeof fetch, stats: {fresh: number, revalidated: number, fetched: number}, prune: () => number}}
+ *   `prune` returns the number of entries removed
+ */
+export function createCachedFetch(fetchPage, { dir, ttlFor, maxAge, clock = () => new Date() }) {
+    mkdirSync(dir, { recursive: true });
+    const stats = { fresh: 0, revalidated: 0, fetched: 0 };
+
+    /**
+     * @param {string} url
+     * @returns {CacheEntry|null}
+     */
+    function read(url) {
+        const path = join(dir, entryFileName(url));
+        if (!existsSync(path)) return null;
+        try {
+            const entry = JSON.parse(readFileSync(path, 'utf-8'));
+            return entry.url === url ? entry : null;
+        } catch {
+            return null; // Corrupt entry — refetch and overwrite
+        }
+    }
+
+    /** @param {CacheEntry} entry */
+    function write(entry) {
+        writeFileSync(join(dir, entryFileName(entry.url)), JSON.stringify(entry) + '\n', 'utf-8');
+    }
+
+    /** @param {CacheEntry} entry */
+    const toResponse = entry => new Response(entry.body, { status: entry.status });
+
+    /** @type {typeof fetch} */
+    async function cachedFetch(input, init = {}) {
+        const url = String(input);
+        const now = clock();
+        const cached = read(url);
+
+        if (cached && now.getTime() - Date.parse(cached.fetched_at) < ttlFor(url)) {
+            stats.fresh++;
+            return toResponse(cached);
+        }
+
+        const headers = { ...init.headers };
+        if (cached?.etag) headers['If-None-Match'] = cached.etag;
+        if (cached?.last_modified) headers['If-Modified-Since'] = cached.last_modified;
+        const res = await fetchPage(url, { ...init, headers });
+
+        if (res.status === 304 && cached) {
+            stats.revalidated++;
+            write({ ...cached, fetched_at: now.toISOString() });
+            return toResponse(cached);
+        }
+
+        stats.fetched++;
+        if (res.status !== 200) return res;
+        const body = await res.text();
+        const etag = res.headers.get('etag');
+        const lastModified = res.headers.get('last-modified');
+        write({
+            url,
+            status: res.status,
+            ...(etag ? { etag } : {}),
+            ...(lastModified ? { last_modified: lastModified } : {}),
+            fetched_at: now.toISOString(),
+            body
+        });
+        return new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+    }
+
+    return {
+        fetch: cachedFetch,
+        stats,
+        prune() {
+            const cutoff = clock().getTime() - maxAge;
+            let removed = 0;
+            for (const file of readdirSync(dir)) {
+                if (!file.endsWith('.json')) continue;
+                const path = join(dir, file);
+                let fetchedAt = NaN;
+                try {
+                    fetchedAt = Date.parse(JSON.parse(readFileSync(path, 'utf-8')).fetched_at);
+                } catch {
+                    // Unreadable — prune it
+                }
+                if (!(fetchedAt >= cutoff)) {
+                    rmSync(path);
+                    removed++;
+                }
+            }
+            return removed;
+        }
+    };
+}
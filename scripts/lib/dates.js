@@ -3,19 +3,22 @@
  * All dates are ISO strings (YYYY-MM-DD) in JST context.
  */
 
+import { SCHEDULE_HORIZON_DAYS } from '../config.js';
+
 const JP_DAYS = ['日', '月', '火', '水', '木', '金', '土'];
 const JP_DAY_FULL = ['日曜日', '月曜日', '火曜日', '水曜日', '木曜日', '金曜日', '土曜日'];
 
 /**
- * Get ISO date strings for the next 7 days starting from today.
- * This matches the UI's 7-day picker and ensures we always have data
- * for every day the user can see.
- * @returns {string[]} Array of 7 ISO date strings
+ * Get ISO date strings for the next `days` days starting from today.
+ * The UI's day picker pages through the same window (schedule.json
+ * week_start → week_end), so every day the user can see has data.
+ * @param {Date} [now] - Reference "today" (defaults to the current time)
+ * @param {number} [days] - Window length (SCHEDULE_HORIZON_DAYS, or scrape.js --days)
+ * @returns {string[]} Array of `days` ISO date strings
  */
-export function getCurrentWeekDates() {
-    const now = new Date();
+export function getCurrentWeekDates(now = new Date(), days = SCHEDULE_HORIZON_DAYS) {
     const dates = [];
-    for (let i = 0; i < 7; i++) {
+    for (let i = 0; i < days; i++) {
         const d = new Date(now);
         d.setDate(now.getDate() + i);
         dates.push(formatDateISO(d));
@@ -38,8 +41,10 @@ export function formatDateISO(d) {
 
 /**
  * Map a Japanese day-of-week name to an ISO date within the given week dates.
+ * Sites keyed by weekday only list the coming week, so a window longer than
+ * seven days resolves to the first matching date.
  * @param {string} jpDay - e.g. "月曜日", "月", "Mon"
- * @param {string[]} weekDates - Mon-Fri ISO dates
+ * @param {string[]} weekDates - ISO dates of the target window
  * @returns {string|null} ISO date string or null if no match
  */
 export function jpDayToDate(jpDay, weekDates) {
@@ -98,6 +103,19 @@ export function parseJapaneseDate(str, year) {
     return `${y}-${month}-${day}`;
 }
 
+/**
+ * Infer the year for a month that a site published without one, using the
+ * target window rather than the wall clock. Keeps fixture replays stable and
+ * resolves January dates correctly when the window spans New Year.
+ * @param {number} month - 1-12
+ * @param {string[]} weekDates - ISO date strings of the target window
+ * @returns {number} Year
+ */
+export function inferYear(month, weekDates) {
+    const inWindow = weekDates.find(d => Number(d.slice(5, 7)) === month);
+    return Number((inWindow || weekDates[0]).slice(0, 4));
+}
+
 /**
  * Parse a recurring pattern string like "毎週月曜日" into a day-of-week index.
  * @param {string} str - e.g. "毎週月曜日", "毎週火曜"
@@ -126,3 +144,17 @@ export function expandRecurring(dayIndex, weekDates) {
         return d.getDay() === dayIndex;
     });
 }
+
+/**
+ * Extract a service time range like "11:00〜14:00" or "11:30 - 13:30".
+ * @param {string} str - Text that may contain a time range
+ * @returns {{start: string, end: string}|null} Zero-padded HH:MM times, or null
+ */
+export function parseTimeRange(str) {
+    const match = str.normalize('NFKC').match(/(\d{1,2}):(\d{2})\s*[〜～~\-–—]\s*(\d{1,2}):(\d{2})/);
+    if (!match) return null;
+    return {
+        start: `${match[1].padStart(2, '0')}:${match[2]}`,
+        end: `${match[3].padStart(2, '0')}:${match[4]}`
+    };
+}
@@ -0,0 +1,172 @@
+/**
+ * Record/replay fixtures for the scraper pipeline.
+ *
+ * A fixture directory pins everything a scrape run depends on, so a broken
+ * parse can be reproduced long after the venue site has changed again:
+ *
+ *   <dir>/manifest.json     recorded_at, week_dates and the URL → page map
+ *   <dir>/pages/*.html      raw bodies of every list and detail page fetched
+ *   <dir>/input/*.json      trucks, schedule, overrides, aliases and unmatched
+ *                           .json as they were before the run
+ *   <dir>/expected/*.json   golden output written by the recording run
+ *   <dir>/actual/*.json     output of the latest replay (git-ignored)
+ */
+import { mkdirSync, readFileSync, writeFileSync, existsSync, copyFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { createHash } from 'node:crypto';
+
+export const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Build a stable, filesystem-safe file name for a URL.
+ * @param {string} url
+ * @returns {string} e.g. "www.mellow.jp-3f2a9c0d1e4b5a6f.html"
+ */
+function pageFileName(url) {
+    const host = new URL(url).hostname;
+    const hash = createHash('sha1').update(url).digest('hex').slice(0, 16);
+    return `${host}-${hash}.html`;
+}
+
+/**
+ * Resolve the sub-paths of a fixture directory.
+ * @param {string} dir - Fixture directory
+ */
+export function fixturePaths(dir) {
+    return {
+        manifest: join(dir, MANIFEST_FILE),
+        pages: join(dir, 'pages'),
+        input: join(dir, 'input'),
+        expected: join(dir, 'expected'),
+        actual: join(dir, 'actual')
+    };
+}
+
+/**
+ * Read a fixture manifest.
+ * @param {string} dir - Fixture directory
+ * @returns {{recorded_at: string, week_dates: string[], pages: Record<string, {file: string, status: number, status_text: string}>}}
+ */
+export function readManifest(dir) {
+    const { manifest } = fixturePaths(dir);
+    if (!existsSync(manifest)) {
+        throw new Error(`No fixture manifest at ${manifest} — record one with --record first`);
+    }
+    return JSON.parse(readFileSync(manifest, 'utf-8'));
+}
+
+/**
+ * Create a fetch stand-in that passes requests through to the network and
+ * saves every response body into the fixture directory.
+ * Call `save()` after the run to write the manifest.
+ * @param {string} dir - Fixture directory
+ * @param {{recordedAt: Date, weekDates: string[]}} meta
+ * @returns {{fetch: typeof fetch, save: () => number}} `save` returns the number of pages recorded
+ */
+export function createRecorder(dir, { recordedAt, weekDates }) {
+    const paths = fixturePaths(dir);
+    mkdirSync(paths.pages, { recursive: true });
+
+    /** @type {Record<string, {file: string, status: number, status_text: string}>} */
+    const pages = {};
+
+    /** @type {typeof fetch} */
+    async function recordingFetch(input, init) {
+        const url = String(input);
+        const res = await fetch(url, init);
+        const body = await res.text();
+
+        const file = pageFileName(url);
+        writeFileSync(join(paths.pages, file), body, 'utf-8');
+        pages[url] = { file, status: res.status, status_text: res.statusText };
+
+        return new Response(body, { status: res.status, statusText: res.statusText });
+    }
+
+    return {
+        fetch: recordingFetch,
+        save() {
+            const sorted = Object.fromEntries(
+                Object.entries(pages).sort(([a], [b]) => a.localeCompare(b))
+            );
+            const manifest = {
+                recorded_at: recordedAt.toISOString(),
+                week_dates: weekDates,
+                pages: sorted
+            };
+            writeFileSync(paths.manifest, JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+            return Object.keys(sorted).length;
+        }
+    };
+}
+
+/**
+ * Create a fetch stand-in that serves recorded pages and never touches the network.
+ * URLs missing from the manifest reject, exactly like a failed network request.
+ * @param {string} dir - Fixture directory
+ * @returns {typeof fetch}
+ */
+export function createReplayer(dir) {
+    const paths = fixturePaths(dir);
+    const { pages } = readManifest(dir);
+
+    return async function replayFetch(input) {
+        const url = String(input);
+        const page = pages[url];
+        if (!page) {
+            throw new Error(`No fixture recorded for ${url}`);
+        }
+        const body = readFileSync(join(paths.pages, page.file), 'utf-8');
+        return new Response(body, { status: page.status, statusText: page.status_text });
+    };
+}
+
+/**
+ * Copy data files into a fixture sub-directory (e.g. input/ or expected/).
+ * Missing source files are skipped.
+ * @param {string[]} files - Absolute source paths
+ * @param {string} destDir
+ */
+export function snapshotFiles(files, destDir) {
+    mkdirSync(destDir, { recursive: true });
+    for (const file of files) {
+        if (!existsSync(file)) continue;
+        copyFileSync(file, join(destDir, file.split(/[\\/]/).pop()));
+    }
+}
+
+/**
+ * Compare a replayed data file with its golden counterpart.
+ * @param {string} expectedPath
+ * @param {string} actualPath
+ * @returns {string[]} Human-readable differences (empty when identical)
+ */
+export function compareWithGolden(expectedPath, actualPath) {
+    if (!existsSync(expectedPath)) return [`missing golden file ${expectedPath}`];
+
+    const expected = JSON.parse(readFileSync(expectedPath, 'utf-8'));
+    const actual = JSON.parse(readFileSync(actualPath, 'utf-8'));
+    const diffs = [];
+
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const key of keys) {
+        if (JSON.stringify(expected[key]) === JSON.stringify(actual[key])) continue;
+
+        // Arrays of records: report which records were gained or lost
+        if (Array.isArray(expected[key]) && Array.isArray(actual[key])) {
+            const exp = new Set(expected[key].map(r => JSON.stringify(r)));
+            const act = new Set(actual[key].map(r => JSON.stringify(r)));
+            const missing = [...exp].filter(r => !act.has(r));
+            const extra = [...act].filter(r => !exp.has(r));
+            if (missing.length === 0 && extra.length === 0) {
+                diffs.push(`${key}: same records in a different order`);
+            }
+            for (const r of missing) diffs.push(`${key}: - ${r}`);
+            for (const r of extra) diffs.push(`${key}: + ${r}`);
+        } else {
+            diffs.push(`${key}: expected ${JSON.stringify(expected[key])}, got ${JSON.stringify(actual[key])}`);
+        }
+    }
+
+    return diffs;
+}
@@ -0,0 +1,191 @@
+/**
+ * Durable schedule history archive.
+ *
+ * schedule.json only holds the rolling window, so every run also folds the
+ * lineup into per-month files under static/data/history/ (e.g. 2026-02.json):
+ *
+ *   {
+ *     "month": "2026-02",
+ *     "last_updated": "2026-02-24T22:03:59.268Z",
+ *     "entries": [
+ *       { "date": "2026-02-24", "venue_id": "kawabata", "truck_id": "mr-chicken",
+ *         "first_seen": "2026-02-20T21:01:10.000Z", "last_seen": "2026-02-24T03:02:44.000Z" }
+ *     ]
+ *   }
+ *
+ * Dates inside the current window are still live: their archived lineup is
+ * replaced by the latest one (keeping first_seen). Dates that have left the
+ * window are frozen, so the archive ends up holding each day's final lineup.
+ */
+import { mkdirSync, readFileSync, writeFileSync, renameSync, existsSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { HISTORY_DIR } from './paths.js';
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} date
+ * @property {string} venue_id
+ * @property {string} truck_id
+ * @property {string} first_seen - ISO timestamp of the first run that saw this entry
+ * @property {string} last_seen - ISO timestamp of the latest run that saw this entry
+ */
+
+/**
+ * Identity of a history entry.
+ * @param {{date: string, venue_id: string, truck_id: string}} e
+ * @returns {string}
+ */
+export function historyKey(e) {
+    return `${e.date}|${e.venue_id}|${e.truck_id}`;
+}
+
+/**
+ * Stable ordering so re-runs produce minimal diffs.
+ * @param {HistoryEntry} a
+ * @param {HistoryEntry} b
+ */
+function compareEntries(a, b) {
+    return a.date.localeCompare(b.date)
+        || a.venue_id.localeCompare(b.venue_id)
+        || a.truck_id.localeCompare(b.truck_id);
+}
+
+/**
+ * Path of the archive file for a month.
+ * @param {string} month - YYYY-MM
+ * @param {string} [historyDir]
+ */
+export function historyFilePath(month, historyDir = HISTORY_DIR) {
+    return join(historyDir, `${month}.json`);
+}
+
+/**
+ * List the months that have an archive file, oldest first.
+ * @param {string} [historyDir]
+ * @returns {string[]} YYYY-MM strings
+ */
+export function listHistoryMonths(historyDir = HISTORY_DIR) {
+    if (!existsSync(historyDir)) return [];
+    return readdirSync(historyDir)
+        .filter(f => /^\d{4}-\d{2}\.json$/.test(f))
+        .map(f => f.slice(0, 7))
+        .sort();
+}
+
+/**
+ * Load one month of history. Missing files yield an empty month.
+ * @param {string} month - YYYY-MM
+ * @param {string} [historyDir]
+ * @returns {{month: string, last_updated: string|null, entries: HistoryEntry[]}}
+ */
+export function loadHistoryMonth(month, historyDir = HISTORY_DIR) {
+    const path = historyFilePath(month, historyDir);
+    if (!existsSync(path)) return { month, last_updated: null, entries: [] };
+    return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * Write one month of history atomically (temp file + rename), so an
+ * interrupted run never leaves a truncated archive behind.
+ * @param {{month: string, last_updated: string, entries: HistoryEntry[]}} data
+ * @param {string} [historyDir]
+ */
+export function writeHistoryMonth(data, historyDir = HISTORY_DIR) {
+    mkdirSync(historyDir, { recursive: true });
+    const path = historyFilePath(data.month, historyDir);
+    const tmp = `${path}.tmp`;
+    const sorted = { ...data, entries: [...data.entries].sort(compareEntries) };
+    writeFileSync(tmp, JSON.stringify(sorted, null, 2) + '\n', 'utf-8');
+    renameSync(tmp, path);
+}
+
+/**
+ * Fold the current schedule into the monthly archive.
+ * @param {Array<{date: string, venue_id: string, truck_id: string}>} schedule - Final merged schedule
+ * @param {string[]} windowDates - Dates the schedule is authoritative for
+ * @param {Date} now - Run timestamp
+ * @param {string} [historyDir]
+ * @param {{dryRun?: boolean}} [options] - `dryRun` counts changes without writing
+ * @returns {{added: number, removed: number, months: string[]}}
+ */
+export function archiveSchedule(schedule, windowDates, now, historyDir = HISTORY_DIR, { dryRun = false } = {}) {
+    const stamp = now.toISOString();
+    const liveDates = new Set(windowDates);
+
+    // Group the live lineup by month
+    const byMonth = new Map();
+    for (const d of windowDates) byMonth.set(d.slice(0, 7), []);
+    for (const e of schedule) {
+        if (!liveDates.has(e.date)) continue;
+        byMonth.get(e.date.slice(0, 7))?.push(e);
+    }
+
+    let added = 0;
+    let removed = 0;
+    const months = [];
+
+    for (const [month, live] of byMonth) {
+        const existing = loadHistoryMonth(month, historyDir);
+        const previous = new Map(existing.entries.map(e => [historyKey(e), e]));
+
+        // Frozen days are kept as-is; live days are rebuilt from the schedule
+        const next = existing.entries.filter(e => !liveDates.has(e.date));
+        const liveKeys = new Set();
+        for (const e of live) {
+            const key = historyKey(e);
+            if (liveKeys.has(key)) continue;
+            liveKeys.add(key);
+
+            const prev = previous.get(key);
+            if (!prev) added++;
+            next.push({
+                date: e.date,
+                venue_id: e.venue_id,
+                truck_id: e.truck_id,
+                first_seen: prev?.first_seen || stamp,
+                last_seen: stamp
+            });
+        }
+        removed += existing.entries.filter(e => liveDates.has(e.date) && !liveKeys.has(historyKey(e))).length;
+
+        // Don't create empty files for months with nothing to archive yet
+        if (next.length === 0 && existing.last_updated === null) continue;
+
+        if (!dryRun) writeHistoryMonth({ month, last_updated: stamp, entries: next }, historyDir);
+        months.push(month);
+    }
+
+    return { added, removed, months };
+}
+
+/**
+ * Move every archived appearance of one truck ID to another (after curating a
+ * placeholder or merging duplicates). Where both IDs were archived for the same
+ * day and venue, the entries merge, keeping the widest first/last seen span.
+ * @param {string} fromId
+ * @param {string} toId
+ * @param {{dryRun?: boolean, historyDir?: string}} [options]
+ * @returns {number} Entries reassigned
+ */
+export function reassignTruckInHistory(fromId, toId, { dryRun = false, historyDir = HISTORY_DIR } = {}) {
+    let moved = 0;
+    for (const month of listHistoryMonths(historyDir)) {
+        const data = loadHistoryMonth(month, historyDir);
+        if (!data.entries.some(e => e.truck_id === fromId)) continue;
+
+        const merged = new Map();
+        for (const e of data.entries) {
+            const entry = e.truck_id === fromId ? { ...e, truck_id: toId } : e;
+            if (e.truck_id === fromId) moved++;
+            const key = historyKey(entry);
+            const prev = merged.get(key);
+            merged.set(key, prev ? {
+                ...prev,
+                first_seen: prev.first_seen < entry.first_seen ? prev.first_seen : entry.first_seen,
+                last_seen: prev.last_seen > entry.last_seen ? prev.last_seen : entry.last_seen
+            } : entry);
+        }
+        if (!dryRun) writeHistoryMonth({ ...data, entries: [...merged.values()] }, historyDir);
+    }
+    return moved;
+}
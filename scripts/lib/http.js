@@ -0,0 +1,232 @@
+/**
+ * Shared HTTP layer for the scrapers.
+ *
+ * createHttpClient wraps a fetch implementation (the network, or a fixture
+ * recorder/replayer) in one with the same signature that:
+ *
+ *   - sends the scraper's headers (FETCH_OPTIONS) unless the caller overrides them
+ *   - aborts a request, body included, after `timeout` ms
+ *   - runs at most `perHostConcurrency` requests per host, starting each at
+ *     least `minDelay` ms after the previous one to the same host
+ *   - retries network errors, timeouts, 5xx and 429 — never other 4xx — with
+ *     jittered exponential backoff, honouring Retry-After up to `maxRetryAfter`
+ *   - refuses URLs the site's robots.txt disallows for our user agent
+ *
+ * Responses come back fully read, so callers can `await res.text()` without
+ * the socket being able to hang afterwards.
+ */
+import { FETCH_OPTIONS, HTTP_OPTIONS } from '../config.js';
+
+/** Statuses worth another attempt: rate limiting and server errors */
+const isRetryableStatus = status => status === 429 || status >= 500;
+
+/** Statuses a Response can't be constructed with a body for */
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+/**
+ * @typedef {Object} HttpOptions
+ * @property {typeof fetch} [fetch] - Underlying fetch (defaults to the global one)
+ * @property {number} [timeout] - Per-attempt timeout in ms, body included
+ * @property {number} [perHostConcurrency] - Requests in flight per host
+ * @property {number} [minDelay] - Minimum ms between request starts per host
+ * @property {number} [retries] - Extra attempts after the first
+ * @property {number} [backoff] - Base backoff in ms, doubled per attempt and jittered
+ * @property {number} [maxRetryAfter] - Longest Retry-After (ms) worth waiting for; beyond it the response is returned
+ * @property {boolean} [robots] - Check robots.txt before fetching
+ * @property {(ms: number) => Promise<void>} [sleep]
+ * @property {() => number} [random] - Jitter source, 0..1
+ */
+
+/**
+ * Parse a Retry-After header (delay in seconds, or an HTTP date).
+ * @param {string|null} value
+ * @param {number} now - ms since epoch
+ * @returns {number|null} Delay in ms
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Parse robots.txt into the rules that apply to a user agent: the groups
+ * naming it (by product token, case-insensitively), else the `*` groups.
+ * @param {string} text
+ * @param {string} userAgent - e.g. "OtemachiEats-Scraper/1.0 (+https://…)"
+ * @returns {Array<{allow: boolean, path: string}>}
+ */
+export function parseRobots(text, userAgent) {
+    const token = userAgent.split('/')[0].toLowerCase();
+    /** @type {Array<{agents: string[], rules: Array<{allow: boolean, path: string}>}>} */
+    const groups = [];
+    let current = null;
+    for (const line of text.split(/\r?\n/)) {
+        const m = line.replace(/#.*/, '').match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+        if (!m) continue;
+        const field = m[1].toLowerCase();
+        if (field === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!current || current.rules.length > 0) {
+                current = { agents: [], rules: [] };
+                groups.push(current);
+            }
+            current.agents.push(m[2].toLowerCase());
+        } else if ((field === 'allow' || field === 'disallow') && current) {
+            // An empty Disallow allows everything
+            if (m[2]) current.rules.push({ allow: field === 'allow', path: m[2] });
+        }
+    }
+
+    const ours = groups.filter(g => g.agents.some(a => a !== '*' && token.includes(a)));
+    const chosen = ours.length > 0 ? ours : groups.filter(g => g.agents.includes('*'));
+    return chosen.flatMap(g => g.rules);
+}
+
+/**
+ * Whether robots rules allow a path: the longest matching rule wins, Allow on
+ * a tie. Supports the `*` and `$` wildcards.
+ * @param {Array<{allow: boolean, path: string}>} rules
+ * @param {string} path - Path and query, e.g. "/ss_web/shops/pMSZjb"
+ * @returns {boolean}
+ */
+export function isAllowedByRobots(rules, path) {
+    let best = null;
+    for (const rule of rules) {
+        const anchored = rule.path.endsWith('$');
+        const pattern = (anchored ? rule.path.slice(0, -1) : rule.path)
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*');
+        if (!new RegExp(`^${pattern}${anchored ? '$' : ''}`).test(path)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    }
+    return best ? best.allow : true;
+}
+
+/**
+ * Create a polite, resilient fetch for scraping. See the module comment.
+ * @param {HttpOptions} [options] - Defaults from HTTP_OPTIONS in config.js
+ * @returns {typeof fetch}
+ */
+export function createHttpClient(options = {}) {
+    const {
+        fetch: baseFetch = fetch,
+        timeout,
+        perHostConcurrency,
+        minDelay,
+        retries,
+        backoff,
+        maxRetryAfter,
+        robots,
+        sleep = ms => new Promise(r => setTimeout(r, ms)),
+        random = Math.random
+    } = { ...HTTP_OPTIONS, ...options };
+    const userAgent = FETCH_OPTIONS.headers['User-Agent'];
+
+    /** @type {Map<string, {active: number, waiting: Array<() => void>, nextStart: number}>} */
+    const hosts = new Map();
+    /** @type {Map<string, Promise<Array<{allow: boolean, path: string}>>>} */
+    const robotsByOrigin = new Map();
+
+    /**
+     * Run a task under its host's concurrency limit and spacing.
+     * @template T
+     * @param {string} host
+     * @param {() => Promise<T>} task
+     * @returns {Promise<T>}
+     */
+    async function throttled(host, task) {
+        let state = hosts.get(host);
+        if (!state) {
+            state = { active: 0, waiting: [], nextStart: 0 };
+            hosts.set(host, state);
+        }
+        while (state.active >= perHostConcurrency) {
+            await new Promise(resolve => state.waiting.push(resolve));
+        }
+        state.active++;
+        try {
+            // Reserve a start time before waiting, so queued requests space out
+            const now = Date.now();
+            const start = Math.max(now, state.nextStart);
+            state.nextStart = start + minDelay;
+            if (start > now) await sleep(start - now);
+            return await task();
+        } finally {
+            state.active--;
+            state.waiting.shift()?.();
+        }
+    }
+
+    /**
+     * One attempt, with the body read inside the timeout.
+     * @param {string} url
+     * @param {RequestInit} init
+     * @returns {Promise<Response>}
+     */
+    async function attempt(url, init) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        try {
+            const res = await baseFetch(url, { ...init, signal: controller.signal });
+            const body = NULL_BODY_STATUSES.has(res.status) ? null : await res.text();
+            return new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+        } catch (err) {
+            if (controller.signal.aborted) throw new Error(`Timed out after ${timeout}ms: ${url}`);
+            throw err;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Robots rules for an origin, fetched once. An unreachable or missing
+     * robots.txt allows everything.
+     * @param {URL} target
+     */
+    function robotsRules(target) {
+        if (!robotsByOrigin.has(target.origin)) {
+            const url = `${target.origin}/robots.txt`;
+            robotsByOrigin.set(target.origin, throttled(target.host, () => attempt(url, FETCH_OPTIONS))
+                .then(async res => (res.ok ? parseRobots(await res.text(), userAgent) : []))
+                .catch(() => []));
+        }
+        return /** @type {Promise<Array<{allow: boolean, path: string}>>} */ (robotsByOrigin.get(target.origin));
+    }
+
+    /** @type {typeof fetch} */
+    return async function clientFetch(input, init = {}) {
+        const url = String(input);
+        const target = new URL(url);
+        const request = { ...init, headers: { ...FETCH_OPTIONS.headers, ...init.headers } };
+
+        if (robots && !isAllowedByRobots(await robotsRules(target), target.pathname + target.search)) {
+            throw new Error(`Disallowed by robots.txt: ${url}`);
+        }
+
+        for (let n = 0; ; n++) {
+            const delay = backoff * 2 ** n * (0.5 + random());
+            let res;
+            try {
+                res = await throttled(target.host, () => attempt(url, request));
+            } catch (err) {
+                if (n >= retries) throw err;
+                console.warn(`  ↻ ${url}: ${err.message} — retry ${n + 1}/${retries}`);
+                await sleep(delay);
+                continue;
+            }
+
+            if (!isRetryableStatus(res.status) || n >= retries) return res;
+            const retryAfter = parseRetryAfter(res.headers.get('retry-after'));
+            if (retryAfter !== null && retryAfter > maxRetryAfter) return res;
+            console.warn(`  ↻ ${url}: ${res.status} ${res.statusText} — retry ${n + 1}/${retries}`);
+            await sleep(Math.max(delay, retryAfter ?? 0));
+        }
+    };
+}
+
+/** Client over the network with the default settings, for scrapers run without a context fetch */
+export const httpFetch = createHttpClient();
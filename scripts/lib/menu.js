@@ -0,0 +1,88 @@
+/**
+ * Menu extraction utilities: turn scraped menu lines into structured items
+ * and keep them on the truck master data.
+ */
+
+/** Menus longer than this are almost certainly page chrome, not a menu */
+const MAX_MENU_ITEMS = 30;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+/**
+ * Parse a yen price from text ("800円", "¥1,200", "１，０００円（税込）").
+ * @param {string} text
+ * @returns {number|null} Price in yen, or null if none is stated
+ */
+export function parsePrice(text) {
+    const s = (text || '').normalize('NFKC');
+    const m = s.match(/[¥\\]\s*(\d[\d,]*)/) || s.match(/(\d[\d,]*)\s*円/);
+    if (!m) return null;
+    const price = Number(m[1].replace(/,/g, ''));
+    return Number.isInteger(price) && price > 0 ? price : null;
+}
+
+/**
+ * Split a menu line into the item name and its price.
+ * @param {string} text - e.g. "ガパオライス 900円（税込）"
+ * @returns {{name: string, price?: number}|null} null if no name is left
+ */
+export function parseMenuItem(text) {
+    const price = parsePrice(text);
+    const name = (text || '')
+        .normalize('NFKC')
+        .replace(/[¥\\]\s*\d[\d,]*/g, '')
+        .replace(/\d[\d,]*\s*円/g, '')
+        .replace(/[(（][^)）]*税[^)）]*[)）]/g, '')
+        .replace(/[\s:：…・\-–—]+$/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (!name || name.length > 60) return null;
+    return price === null ? { name } : { name, price };
+}
+
+/**
+ * Build a truck menu from scraped lines, dropping duplicates and non-items.
+ * @param {string[]} lines - Raw menu lines from a detail page
+ * @returns {Array<{name: string, price?: number}>}
+ */
+export function buildMenu(lines) {
+    const items = [];
+    const seen = new Set();
+    for (const line of lines) {
+        const item = parseMenuItem(line);
+        if (!item || seen.has(item.name)) continue;
+        seen.add(item.name);
+        items.push(item);
+    }
+    return items.length > MAX_MENU_ITEMS ? [] : items;
+}
+
+/**
+ * Tidy a scraped description: collapse whitespace and cap its length.
+ * @param {string} text
+ * @returns {string}
+ */
+export function cleanDescription(text) {
+    const s = (text || '').replace(/\s+/g, ' ').trim();
+    return s.length > MAX_DESCRIPTION_LENGTH ? `${s.slice(0, MAX_DESCRIPTION_LENGTH - 1)}…` : s;
+}
+
+/**
+ * Copy a scraped menu and description onto a truck. Fresh non-empty values
+ * replace stored ones; an empty scrape never erases what we already have.
+ * @param {Object} truck - Truck from trucks.json (mutated)
+ * @param {{menu?: Array<{name: string, price?: number}>, description?: string}} scraped
+ * @returns {boolean} True if the truck changed
+ */
+export function applyMenu(truck, scraped) {
+    let changed = false;
+    if (scraped.menu && scraped.menu.length > 0
+        && JSON.stringify(scraped.menu) !== JSON.stringify(truck.menu || [])) {
+        truck.menu = scraped.menu;
+        changed = true;
+    }
+    if (scraped.description && scraped.description !== truck.description) {
+        truck.description = scraped.description;
+        changed = true;
+    }
+    return changed;
+}
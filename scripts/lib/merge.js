@@ -0,0 +1,231 @@
+/**
+ * Duplicate-truck detection and merging.
+ *
+ * The same operator can end up in trucks.json twice when venues spell it
+ * differently ("Mr.Chicken★Torihanten" / "Mr.Chicken 鶏飯店"). Merging folds
+ * one ID into another everywhere it is referenced and records the old ID in
+ * trucks.json `redirects`, so saved favorites and links keep working:
+ *
+ *   { "venues": [...], "trucks": [...], "redirects": { "mr-chicken": "mrchicken" } }
+ */
+import { normalizeName, nameSimilarity, isPlaceholderId } from './normalize.js';
+import { reassignTruckInHistory } from './history.js';
+
+/** Pairs scoring at least this are reported as probable duplicates */
+export const DUPLICATE_THRESHOLD = 0.7;
+
+/**
+ * Dice coefficient over word sets, for description and menu text.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number} 0..1
+ */
+function overlap(a, b) {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    if (setA.size === 0 || setB.size === 0) return 0;
+    let shared = 0;
+    for (const x of setA) if (setB.has(x)) shared++;
+    return (2 * shared) / (setA.size + setB.size);
+}
+
+/**
+ * How much two trucks' detail-page data agrees: same page URL, menu items in
+ * common, or overlapping description text.
+ * @param {import('../../src/lib/types.js').Truck} a
+ * @param {import('../../src/lib/types.js').Truck} b
+ * @returns {number|null} 0..1, or null when the trucks have nothing to compare
+ */
+function detailSimilarity(a, b) {
+    const scores = [];
+    if (a.url && b.url) scores.push(a.url === b.url ? 1 : 0);
+    if (a.menu?.length && b.menu?.length) {
+        scores.push(overlap(a.menu.map(m => normalizeName(m.name)), b.menu.map(m => normalizeName(m.name))));
+    }
+    if (a.description && b.description) {
+        const words = s => normalizeName(s).split(/[\s、。,.!！]+/).filter(w => w.length > 1);
+        scores.push(overlap(words(a.description), words(b.description)));
+    }
+    return scores.length > 0 ? Math.max(...scores) : null;
+}
+
+/**
+ * Score how likely two trucks are the same operator.
+ * @param {import('../../src/lib/types.js').Truck} a
+ * @param {import('../../src/lib/types.js').Truck} b
+ * @returns {{score: number, reasons: string[]}}
+ */
+export function duplicateScore(a, b) {
+    const reasons = [];
+
+    let name = 0;
+    for (const x of [a.name, a.name_en]) {
+        for (const y of [b.name, b.name_en]) {
+            if (x && y) name = Math.max(name, nameSimilarity(x, y));
+        }
+    }
+    reasons.push(`names ${name.toFixed(2)}`);
+
+    // Slugs that differ only in hyphens ("mr-chicken" / "mrchicken")
+    if (!isPlaceholderId(a.id) && a.id.replace(/-/g, '') === b.id.replace(/-/g, '')) {
+        name = Math.max(name, 0.9);
+        reasons.push('same ID spelling');
+    }
+
+    let score = name;
+    const detail = detailSimilarity(a, b);
+    if (detail !== null) {
+        score += 0.15 * detail;
+        reasons.push(`detail ${detail.toFixed(2)}`);
+    }
+
+    if (a.cuisine !== 'unknown' && b.cuisine !== 'unknown') {
+        if (a.cuisine === b.cuisine) {
+            score += 0.05;
+            reasons.push('same cuisine');
+        } else {
+            score -= 0.1;
+            reasons.push(`cuisine ${a.cuisine}/${b.cuisine}`);
+        }
+    }
+
+    return { score: Math.min(1, Math.max(0, score)), reasons };
+}
+
+/**
+ * Find probable duplicate pairs, best first.
+ * @param {import('../../src/lib/types.js').Truck[]} trucks
+ * @param {number} [threshold]
+ * @returns {Array<{a: import('../../src/lib/types.js').Truck, b: import('../../src/lib/types.js').Truck, score: number, reasons: string[]}>}
+ */
+export function findDuplicates(trucks, threshold = DUPLICATE_THRESHOLD) {
+    const pairs = [];
+    for (let i = 0; i < trucks.length; i++) {
+        for (let j = i + 1; j < trucks.length; j++) {
+            const { score, reasons } = duplicateScore(trucks[i], trucks[j]);
+            if (score >= threshold) pairs.push({ a: trucks[i], b: trucks[j], score, reasons });
+        }
+    }
+    return pairs.sort((x, y) => y.score - x.score || x.a.id.localeCompare(y.a.id));
+}
+
+/**
+ * Fill the kept truck's empty fields from the retired one: cuisine when
+ * unknown (the retired truck's cuisine otherwise becomes a tag), links,
+ * English name, and the longer menu and description.
+ * @param {import('../../src/lib/types.js').Truck} keep - Mutated
+ * @param {import('../../src/lib/types.js').Truck} retire
+ */
+function mergeMetadata(keep, retire) {
+    if (keep.cuisine === 'unknown' && retire.cuisine !== 'unknown') {
+        keep.cuisine = retire.cuisine;
+        keep.cuisine_label = retire.cuisine_label;
+        keep.cuisine_confidence = retire.cuisine_confidence;
+        if (keep.cuisine_confidence === undefined) delete keep.cuisine_confidence;
+    }
+    const tags = [...new Set([...(keep.cuisine_tags || []), retire.cuisine, ...(retire.cuisine_tags || [])])]
+        .filter(key => key !== 'unknown' && key !== keep.cuisine);
+    if (tags.length > 0) keep.cuisine_tags = tags;
+    for (const field of ['name_en', 'url', 'contact_instagram']) {
+        if (!keep[field] && retire[field]) keep[field] = retire[field];
+    }
+    keep.accepts_preorder = Boolean(keep.accepts_preorder || retire.accepts_preorder);
+    if ((retire.menu?.length || 0) > (keep.menu?.length || 0)) keep.menu = retire.menu;
+    if ((retire.description?.length || 0) > (keep.description?.length || 0)) keep.description = retire.description;
+}
+
+/**
+ * Merge one truck into another: move its schedule and history entries, keep
+ * the richer metadata, point aliases and redirects at the kept ID, and drop
+ * the retired truck. `trucksData`, `scheduleData` and `aliases` are mutated;
+ * the history archive is rewritten unless `dryRun`.
+ * @param {{trucks: import('../../src/lib/types.js').Truck[], redirects?: Record<string, string>}} trucksData
+ * @param {{schedule: Array<{date: string, venue_id: string, truck_id: string}>}} scheduleData
+ * @param {Record<string, string>} aliases
+ * @param {string} fromId - Truck to retire
+ * @param {string} intoId - Truck to keep
+ * @param {{dryRun?: boolean, historyDir?: string}} [options]
+ * @returns {{scheduleMoved: number, historyMoved: number}}
+ */
+export function mergeTrucks(trucksData, scheduleData, aliases, fromId, intoId, options = {}) {
+    const retire = trucksData.trucks.find(t => t.id === fromId);
+    const keep = trucksData.trucks.find(t => t.id === intoId);
+    if (!retire) throw new Error(`Unknown truck ID: ${fromId}`);
+    if (!keep) throw new Error(`Unknown truck ID: ${intoId}`);
+    if (retire === keep) throw new Error('Cannot merge a truck into itself');
+
+    // Schedule: reassign, dropping entries the kept truck already has
+    let scheduleMoved = 0;
+    const seen = new Set();
+    scheduleData.schedule = scheduleData.schedule.flatMap(e => {
+        const entry = e.truck_id === fromId ? { ...e, truck_id: intoId } : e;
+        if (e.truck_id === fromId) scheduleMoved++;
+        const key = `${entry.date}|${entry.venue_id}|${entry.truck_id}`;
+        if (seen.has(key)) return [];
+        seen.add(key);
+        return [entry];
+    });
+    const historyMoved = reassignTruckInHistory(fromId, intoId, options);
+
+    mergeMetadata(keep, retire);
+    trucksData.trucks = trucksData.trucks.filter(t => t !== retire);
+
+    // Future listings under the retired name resolve to the kept truck
+    const retiredName = normalizeName(retire.name);
+    if (normalizeName(keep.name) !== retiredName && !aliases[retiredName]) aliases[retiredName] = intoId;
+    redirectId(trucksData, aliases, fromId, intoId);
+
+    return { scheduleMoved, historyMoved };
+}
+
+/**
+ * Give a truck a new ID: its schedule, history and aliases move with it, and
+ * the old ID redirects to the new one. Arguments are mutated as in mergeTrucks.
+ * @param {{trucks: import('../../src/lib/types.js').Truck[], redirects?: Record<string, string>}} trucksData
+ * @param {{schedule: Array<{date: string, venue_id: string, truck_id: string}>}} scheduleData
+ * @param {Record<string, string>} aliases
+ * @param {string} fromId
+ * @param {string} toId
+ * @param {{dryRun?: boolean, historyDir?: string}} [options]
+ * @returns {{scheduleMoved: number, historyMoved: number}}
+ */
+export function renameTruck(trucksData, scheduleData, aliases, fromId, toId, options = {}) {
+    const truck = trucksData.trucks.find(t => t.id === fromId);
+    if (!truck) throw new Error(`Unknown truck ID: ${fromId}`);
+    if (trucksData.trucks.some(t => t.id === toId)) throw new Error(`Truck ID already taken: ${toId}`);
+
+    let scheduleMoved = 0;
+    for (const e of scheduleData.schedule) {
+        if (e.truck_id !== fromId) continue;
+        e.truck_id = toId;
+        scheduleMoved++;
+    }
+    const historyMoved = reassignTruckInHistory(fromId, toId, options);
+
+    truck.id = toId;
+    redirectId(trucksData, aliases, fromId, toId);
+    delete trucksData.redirects?.[toId]; // the new ID may have been a retired one
+
+    return { scheduleMoved, historyMoved };
+}
+
+/**
+ * Point aliases and redirects for an old ID at its replacement, and record the
+ * old ID itself as a redirect.
+ * @param {{redirects?: Record<string, string>}} trucksData
+ * @param {Record<string, string>} aliases
+ * @param {string} fromId
+ * @param {string} toId
+ */
+function redirectId(trucksData, aliases, fromId, toId) {
+    for (const [name, id] of Object.entries(aliases)) {
+        if (id === fromId) aliases[name] = toId;
+    }
+    // Old IDs (and anything that already redirected to them) now lead to the new one
+    const redirects = trucksData.redirects || {};
+    for (const [oldId, id] of Object.entries(redirects)) {
+        if (id === fromId) redirects[oldId] = toId;
+    }
+    redirects[fromId] = toId;
+    trucksData.redirects = redirects;
+}
@@ -1,99 +1,30 @@
 /**
  * Truck name normalization and matching utilities.
  */
+import { createHash } from 'node:crypto';
+import { loadAliases } from './aliases.js';
+import { foldKana, toRomaji, canonicalRomaji } from '../../src/lib/search.js';
 
 /**
- * Manual alias mappings for trucks whose scraped names differ
- * significantly from the master data (e.g., JP vs EN names).
- * Key: normalized scraped name → Value: truck ID in trucks.json
- */
-const ALIASES = {
-    // Kawabata — site uses Japanese names, trucks.json has English
-    'キッチンあがいてぃーら': 'kitchen-agaityla',
-    'グリルキッチンbesideu': 'beside-u',
-    'レオ ストリート キッチン': 'leo-street',
-    'レオストリートキッチン': 'leo-street',
-    'lino marama cafe': 'lino-marama',
-    // Neo Yatai — name variations
-    'mikaバインミー': 'mika-banhmi',
-    '東京ricordo': 'ricordo',
-    '+spice': 'plus-spice',
-    '蓮 ren': 'ren',
-    '和tokyo': 'wa-tokyo',
-    '台湾佐記麺線': 'taiwan-saki',
-    'mr.chicken★torihanten': 'mr-chicken',
-    'mr.chicken torihanten': 'mr-chicken',
-    'mr.chicken': 'mr-chicken',
-    'ボナペティ': 'bonappetit',
-    'bt massaru': 'bt-massaru',
-    // Mellow — scraped names include menu items, so use substring matching
-    // These are for exact matches where substring won't work
-    'kusina personal by an': 'kusina',
-    'anne&may': 'anne-may',
-    'サンドリヨン': 'sandoriyon',
-    'アイランド': 'island',
-    '鳳': 'otori',
-    'まま事屋': 'mamagoto',
-    'senor coppe': 'senor-coppe',
-    'señor coppe': 'senor-coppe',
-    'cucina daino': 'daino',
-    'smile tokyo': 'smile-tokyo',
-    'ラハイナテーブル': 'lahaina',
-    '西京屋 周': 'saikyoya',
-    '西京屋　周': 'saikyoya',
-    '祥福堂': 'shofukudo',
-    'churrascaria que bom!': 'quebom',
-    // Kawabata — newly discovered trucks
-    '長崎屋': 'nagasakiya',
-    'ジュリーズスパイス': 'julies-spice',
-    'ごっさむ': 'gossam',
-    'アジアンフード': 'asian-food',
-    'ミラーン': 'millan',
-    'ビストロカルロス': 'bistro-carlos',
-    'パパガヤデリ': 'papagaya-deli',
-    '鳳唐揚げ弁当': 'otori',
-    // Marunouchi Trust City trucks
-    'parlor zono': 'parlor-zono',
-    'island kitchen': 'island-kitchen',
-    '食堂新': 'shokudo-shin',
-    'caffe latte': 'caffe-latte',
-    'box lunch casa': 'box-lunch-casa',
-    'キッチンカーたこみーと': 'tacomeat',
-    'grace lei': 'grace-lei',
-    'keiki beach 83': 'keiki-beach',
-    // TOKYO TORCH & Otemachi Park trucks (Mellow names include menu items)
-    '韓美味': 'truck-1771400426440',
-    'たこみーと': 'truck-1771400426441',
-    'mr.chicken 鶏飯店': 'mrchicken',
-    "18's kitchen & market": '18s-kitchen-market',
-    'ここにぎり': 'truck-1771400426442',
-    'dandy lion kitchen': 'dandy-lion-kitchen',
-    'ふくの鳥': '48-484',
-    'dublin 7 food truck': 'dublin-7-food-truck',
-    'wellvide': 'wellvide',
-    'okilab': 'okilab',
-    'おきらぼ': 'okilab',
-    'むら川': 'truck-1771400426443',
-    '2nd base': '2nd-base',
-    'おばんざいバル つむぎ': 'truck-1771400426444',
-    'おばんざいバル': 'truck-1771400426444',
-    '早稲田ゴールデン': 'truck-1771400426445',
-    'chopi rich': 'chopi-rich',
-    "waka's kitchen": 'wakas-kitchen',
-    "waka's  kitchen": 'wakas-kitchen',
-    'mogu mogu stand': 'mogu-mogu-stand',
-    'burn.': 'burn',
-    'mos burger kitchen car': 'mos5050th-mos',
-    'mos50': 'mos5050th-mos',
-    'モスのキッチンカー「mos50一号車」': 'mos5050th-mos',
-    'まごころkitchen ととちゃん': 'kitchen',
-    'ぞうさん食堂': 'truck-1771400426447',
-    // Newly discovered trucks
-    '海鮮ボンクラージュ': 'truck-1771418341566',
-    'kuokoa': 'kuokoa',
-    'カーニャパッソ': 'truck-1771418341569',
-    'ピエニ キッサ': 'truck-1771405545500',
-};
+ * Timestamp IDs the scraper used to give all-Japanese names ("truck-1771400426440").
+ * Hash IDs from generateId are hex and at most 8 characters, so never match.
+ */
+const PLACEHOLDER_ID = /^truck-\d{10,}$/;
+
+/** Hex digits of the name hash in IDs for names with kanji */
+const ID_HASH_LENGTH = 6;
+
+/** Alias table, loaded on first use (see lib/aliases.js) */
+let defaultAliases = null;
+
+/**
+ * Whether a truck ID is a legacy timestamp placeholder (see scripts/migrate-ids.js).
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isPlaceholderId(id) {
+    return PLACEHOLDER_ID.test(id);
+}
 
 /**
  * Normalize a truck name for comparison.
@@ -114,45 +45,68 @@ export function normalizeName(raw) {
 }
 
 /**
- * Generate a URL-safe slug ID from a truck name.
+ * Generate a URL-safe slug ID from a truck name. Deterministic, so the same
+ * name always gets the same ID.
+ *
+ * Kana are transliterated to Hepburn romaji ("ごっさむ" → "gossamu"). Kanji
+ * can't be read without a dictionary, so they are dropped and a short hash of
+ * the whole name keeps distinct names apart ("和食しの" → "shino-1a2b3c"); a
+ * name with nothing readable left is "truck-<hash>".
  * @param {string} name - Raw truck name
  * @returns {string} Slug like "mr-chicken"
  */
 export function generateId(name) {
-    return normalizeName(name)
-        // Remove Japanese characters for the slug (keep them in name)
+    const normalized = normalizeName(name);
+    const slug = normalized
+        // Kana runs become romaji words; kanji runs separate words
+        .replace(/[\p{Script=Hiragana}\p{Script=Katakana}ー]+/gu, run => ` ${toRomaji(foldKana(run))} `)
+        .replace(/\p{Script=Han}+/gu, ' ')
+        // Anything else that didn't romanize is dropped (it stays in name)
         .replace(/[^\w\s-]/g, '')
+        .trim()
         // Replace spaces with hyphens
         .replace(/\s+/g, '-')
         // Collapse multiple hyphens
         .replace(/-+/g, '-')
         // Trim leading/trailing hyphens
-        .replace(/^-|-$/g, '')
-        // Fallback: if empty (all Japanese), romanize minimally
-        || `truck-${Date.now()}`;
+        .replace(/^-|-$/g, '');
+
+    if (slug && !/\p{Script=Han}/u.test(normalized)) return slug;
+    const hash = createHash('sha1').update(normalized).digest('hex').slice(0, ID_HASH_LENGTH);
+    return `${slug || 'truck'}-${hash}`;
 }
 
 /**
- * Find a matching truck in the existing trucks list by name.
+ * How a scraped name was resolved to a truck, recorded on schedule entries:
+ * one of matchTruck's rules, or set by the scraper — 'redirect' (the generated
+ * ID was merged into another truck) and 'new' (a placeholder was created).
+ * @typedef {'alias' | 'exact' | 'substring' | 'id' | 'redirect' | 'new'} MatchRule
+ */
+
+/**
+ * Find a matching truck in the existing trucks list by name, and the rule
+ * that matched it.
  * Uses normalized comparison with fuzzy matching.
+ * @template {{id: string, name: string}} T
  * @param {string} rawName - Raw scraped truck name
- * @param {Array<{id: string, name: string}>} existingTrucks
- * @returns {{id: string, name: string}|null} Matched truck or null
+ * @param {T[]} existingTrucks
+ * @param {Record<string, string>} [aliases] - Normalized name → truck ID (defaults to aliases.json)
+ * @returns {{truck: T, rule: MatchRule}|null} Match or null
  */
-export function findMatch(rawName, existingTrucks) {
+export function matchTruck(rawName, existingTrucks, aliases = defaultAliases ??= loadAliases()) {
     const normalized = normalizeName(rawName);
 
     // 0. Check manual alias table first
-    const aliasId = ALIASES[normalized];
+    const aliasId = aliases[normalized];
     if (aliasId) {
         const aliased = existingTrucks.find(t => t.id === aliasId);
-        if (aliased) return aliased;
+        if (aliased) return { truck: aliased, rule: 'alias' };
     }
 
     // 1. Exact normalized match
     for (const truck of existingTrucks) {
         if (normalizeName(truck.name) === normalized) {
-            return truck;
+            return { truck, rule: 'exact' };
         }
     }
 
@@ -163,7 +117,7 @@ export function findMatch(rawName, existingTrucks) {
         const shorter = normalized.length < existingNorm.length ? normalized : existingNorm;
         if (shorter.length >= 4) {
             if (normalized.includes(existingNorm) || existingNorm.includes(normalized)) {
-                return truck;
+                return { truck, rule: 'substring' };
             }
         }
     }
@@ -172,7 +126,7 @@ export function findMatch(rawName, existingTrucks) {
     const slug = generateId(rawName);
     for (const truck of existingTrucks) {
         if (truck.id === slug) {
-            return truck;
+            return { truck, rule: 'id' };
         }
     }
 
@@ -180,9 +134,124 @@ export function findMatch(rawName, existingTrucks) {
 }
 
 /**
- * Cuisine detection keywords, ordered from most specific to most generic.
- * First match wins, so specific ethnic cuisines come before broad categories.
- * Avoid overly generic words (kitchen, lunch, cafe) that cause false positives.
+ * Find a matching truck in the existing trucks list by name.
+ * @template {{id: string, name: string}} T
+ * @param {string} rawName - Raw scraped truck name
+ * @param {T[]} existingTrucks
+ * @param {Record<string, string>} [aliases] - Normalized name → truck ID (defaults to aliases.json)
+ * @returns {T|null} Matched truck or null
+ */
+export function findMatch(rawName, existingTrucks, aliases) {
+    return matchTruck(rawName, existingTrucks, aliases)?.truck ?? null;
+}
+
+/**
+ * Comparable forms of a name: kana-folded (katakana → hiragana, width and case
+ * folded, spaces and punctuation dropped) and canonical romaji.
+ * @param {string} name
+ * @returns {{kana: string, roma: string}}
+ */
+function nameForms(name) {
+    const kana = foldKana(normalizeName(name)).replace(/[\s\p{P}\p{S}]/gu, '');
+    return { kana, roma: canonicalRomaji(toRomaji(kana)) };
+}
+
+/**
+ * Dice coefficient over character bigrams (equality for 1-char strings).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0..1
+ */
+function dice(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    const counts = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const bigram = a.slice(i, i + 2);
+        counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    let shared = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const bigram = b.slice(i, i + 2);
+        const n = counts.get(bigram) || 0;
+        if (n > 0) {
+            shared++;
+            counts.set(bigram, n - 1);
+        }
+    }
+    return (2 * shared) / (a.length - 1 + b.length - 1);
+}
+
+/**
+ * Similarity of one form pair: bigram overlap, raised when one name contains
+ * the other (scraped names often append a dish: "韓美味ダブルチキン丼").
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0..1
+ */
+function formSimilarity(a, b) {
+    let score = dice(a, b);
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    if (shorter.length >= 3 && longer.includes(shorter)) {
+        score = Math.max(score, 0.6 + 0.4 * (shorter.length / longer.length));
+    }
+    return score;
+}
+
+/**
+ * How alike two truck names are, comparing kana-folded and romaji forms, so
+ * "たこみーと", "タコミート" and "tacomeet" score as near-identical.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0..1
+ */
+export function nameSimilarity(a, b) {
+    const fa = nameForms(a);
+    const fb = nameForms(b);
+    // Romaji folding merges spellings, so it ranks below a kana match; kanji
+    // have no romaji form at all ("和tokyo" compares as bare "tokyo"), so
+    // names containing them trust it less still
+    const romaFactor = /\p{Script=Han}/u.test(fa.kana + fb.kana) ? 0.85 : 0.95;
+    return Math.max(formSimilarity(fa.kana, fb.kana), romaFactor * formSimilarity(fa.roma, fb.roma));
+}
+
+/**
+ * Rank existing trucks by how likely they are the truck behind a scraped name.
+ * Each truck is scored on its name, English name and every alias pointing at it.
+ * @param {string} rawName
+ * @param {Array<{id: string, name: string, name_en?: string}>} trucks - Candidates
+ * @param {{aliases?: Record<string, string>, limit?: number, minScore?: number}} [options]
+ * @returns {Array<{truck: {id: string, name: string}, score: number, via: string}>} Best first
+ */
+export function rankMatches(rawName, trucks, { aliases = {}, limit = 3, minScore = 0.3 } = {}) {
+    const namesById = new Map();
+    for (const [alias, id] of Object.entries(aliases)) {
+        namesById.set(id, [...(namesById.get(id) || []), alias]);
+    }
+
+    const ranked = [];
+    for (const truck of trucks) {
+        const names = [truck.name, truck.name_en, ...(namesById.get(truck.id) || [])].filter(Boolean);
+        let best = { score: 0, via: truck.name };
+        for (const name of names) {
+            const score = nameSimilarity(rawName, name);
+            if (score > best.score) best = { score, via: name };
+        }
+        if (best.score >= minScore) ranked.push({ truck, ...best });
+    }
+    return ranked
+        .sort((a, b) => b.score - a.score || a.truck.id.localeCompare(b.truck.id))
+        .slice(0, limit);
+}
+
+/**
+ * Cuisine detection keywords. Every category is scored (see detectCuisine);
+ * list order only breaks ties, so specific ethnic cuisines still come before
+ * broad categories. Latin keywords match at the start of a word ("korea" in
+ * "korean", not in "ikorea"), and short ones only as a whole word ("pho", not
+ * "phone"). Avoid overly generic words (kitchen, lunch, cafe) that cause
+ * false positives.
  */
 const CUISINE_KEYWORDS = [
     // Specific ethnic cuisines first
@@ -190,7 +259,7 @@ const CUISINE_KEYWORDS = [
     { key: 'kebab', label: 'ケバブ', keywords: ['kebab', 'ケバブ', 'ハラル', 'halal', 'ファラフェル', 'falafel'] },
     { key: 'korean', label: '韓国料理', keywords: ['korea', 'bibimbap', 'pocha', '韓国', 'ビビンバ', 'ポチャ', 'チヂミ', 'k-food', '韓美味'] },
     { key: 'vietnamese', label: 'ベトナム', keywords: ['vietnam', 'banh mi', 'pho', 'ベトナム', 'バインミー', 'フォー'] },
-    { key: 'okinawan', label: '沖縄料理', keywords: ['okinawa', 'taco', 'spam', '沖縄', 'タコライス'] },
+    { key: 'okinawan', label: '沖縄料理', keywords: ['okinawa', 'taco rice', 'tacorice', 'spam', '沖縄', 'タコライス'] },
     { key: 'chinese', label: '中華', keywords: ['chinese', 'gyoza', 'dimsum', '中華', '餃子', '麻婆', '炒飯', '魯肉飯'] },
     { key: 'italian', label: 'イタリアン', keywords: ['pizza', 'pasta', 'lasagna', 'italian', 'ピザ', 'パスタ', 'ラザニア', 'イタリアン', 'sicil'] },
     // Protein-focused
@@ -208,38 +277,125 @@ const CUISINE_KEYWORDS = [
 ];
 
 /**
- * Attempt to detect cuisine from truck name and optional extra text
+ * The Japanese label stored with a cuisine key in trucks.json.
+ * @param {string} key - e.g. 'korean'
+ * @returns {string} Empty for keys with no keyword category (the UI has its own labels)
+ */
+export function labelForCuisine(key) {
+    return CUISINE_KEYWORDS.find(c => c.key === key)?.label ?? '';
+}
+
+/** A keyword in the truck's name counts this many times a keyword in its description or menu */
+const NAME_WEIGHT = 3;
+
+/** Latin keywords up to this long must match a whole word */
+const SHORT_KEYWORD = 4;
+
+/** Secondary tags need at least this share of the primary cuisine's score */
+const TAG_MIN_SHARE = 0.3;
+const MAX_TAGS = 3;
+
+/** Classifications below this confidence are flagged by validate.js */
+export const LOW_CONFIDENCE = 0.5;
+
+/** @type {Array<{key: string, label: string, patterns: Array<(text: string) => boolean>}>} */
+const CUISINE_MATCHERS = CUISINE_KEYWORDS.map(({ key, label, keywords }) => ({
+    key,
+    label,
+    patterns: keywords.map(keyword => {
+        if (!/^[\x20-\x7e]+$/.test(keyword)) return text => text.includes(keyword);
+        const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const re = new RegExp(`(?<![a-z])${escaped}${keyword.length <= SHORT_KEYWORD ? '(?![a-z])' : ''}`);
+        return text => re.test(text);
+    })
+}));
+
+/**
+ * Classify a truck's cuisine from its name and optional extra text
  * (e.g., description + menu items from the truck's detail page).
+ *
+ * Each category scores NAME_WEIGHT per keyword found in the name and 1 per
+ * keyword found only in the extra text. The best score is the primary
+ * cuisine, runners-up become secondary tags, and the confidence combines how
+ * much evidence there is (one name hit is enough) with how clearly the
+ * primary beats the rest.
  * @param {string} name - Truck name
  * @param {string} [extraText=''] - Extra text (description, menu items) for better detection
- * @returns {{cuisine: string, cuisine_label: string}}
+ * @returns {{cuisine: string, cuisine_label: string, cuisine_tags: string[], cuisine_confidence: number}}
  */
 export function detectCuisine(name, extraText = '') {
-    const combined = normalizeName(name + ' ' + extraText);
+    const nameText = normalizeName(name);
+    const bodyText = normalizeName(extraText);
 
-    for (const category of CUISINE_KEYWORDS) {
-        for (const keyword of category.keywords) {
-            if (combined.includes(keyword)) {
-                return { cuisine: category.key, cuisine_label: category.label };
-            }
+    const scored = [];
+    for (const { key, label, patterns } of CUISINE_MATCHERS) {
+        let score = 0;
+        for (const matches of patterns) {
+            if (matches(nameText)) score += NAME_WEIGHT;
+            else if (matches(bodyText)) score += 1;
         }
+        if (score > 0) scored.push({ key, label, score });
+    }
+    // Stable sort: equal scores keep CUISINE_KEYWORDS order
+    scored.sort((a, b) => b.score - a.score);
+
+    if (scored.length === 0) {
+        return { cuisine: 'unknown', cuisine_label: '?', cuisine_tags: [], cuisine_confidence: 0 };
     }
+    const [primary, ...rest] = scored;
+    const total = scored.reduce((sum, c) => sum + c.score, 0);
+    const evidence = Math.min(1, primary.score / NAME_WEIGHT);
+    return {
+        cuisine: primary.key,
+        cuisine_label: primary.label,
+        cuisine_tags: rest
+            .filter(c => c.score >= primary.score * TAG_MIN_SHARE)
+            .slice(0, MAX_TAGS)
+            .map(c => c.key),
+        cuisine_confidence: Math.round(100 * evidence * primary.score / total) / 100
+    };
+}
 
-    return { cuisine: 'unknown', cuisine_label: '?' };
+/**
+ * Re-classify a truck after a scrape brought detail-page text. A truck with an
+ * unknown cuisine takes the classifier's result; one that already has a
+ * cuisine (possibly hand-set) keeps it and only picks up secondary tags.
+ * @param {import('../../src/lib/types.js').Truck} truck - Mutated
+ * @param {string} detailText
+ * @returns {boolean} Whether the cuisine or tags changed
+ */
+export function applyCuisine(truck, detailText) {
+    const menuText = (truck.menu || []).map(m => m.name).join(' ');
+    const result = detectCuisine(truck.name, [detailText, truck.description || '', menuText].join(' '));
+    const before = JSON.stringify([truck.cuisine, truck.cuisine_tags || []]);
+
+    if (truck.cuisine === 'unknown') {
+        if (result.cuisine === 'unknown') return false;
+        Object.assign(truck, result);
+    } else {
+        truck.cuisine_tags = [result.cuisine, ...result.cuisine_tags]
+            .filter(key => key !== 'unknown' && key !== truck.cuisine)
+            .slice(0, MAX_TAGS);
+    }
+    if (truck.cuisine_tags?.length === 0) delete truck.cuisine_tags;
+    return JSON.stringify([truck.cuisine, truck.cuisine_tags || []]) !== before;
 }
 
 /**
  * Create a placeholder truck entry for a newly discovered truck.
  * @param {string} rawName - Raw scraped name
+ * @param {string} [extraText=''] - Detail page text for cuisine detection
  * @returns {import('../../src/lib/types.js').Truck}
  */
 export function createPlaceholder(rawName, extraText = '') {
-    const { cuisine, cuisine_label } = detectCuisine(rawName, extraText);
+    const { cuisine, cuisine_label, cuisine_tags, cuisine_confidence } = detectCuisine(rawName, extraText);
     return {
         id: generateId(rawName),
         name: rawName.trim(),
         cuisine,
         cuisine_label,
+        ...(cuisine_tags.length > 0 ? { cuisine_tags } : {}),
+        cuisine_confidence,
         contact_instagram: '',
         accepts_preorder: false,
         url: ''
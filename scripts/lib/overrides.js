@@ -0,0 +1,114 @@
+/**
+ * Curated truck metadata overrides.
+ *
+ * static/data/overrides.json pins truck fields by hand and locks fields
+ * against the scraper's automatic updates. Pinned values are re-applied on
+ * every scrape run, after matching and cuisine detection, so they survive
+ * re-scrapes; a pinned field is implicitly locked too:
+ *
+ *   {
+ *     "overrides": {
+ *       "kanbim": { "cuisine": "korean", "contact_instagram": "kanbim_tokyo" },
+ *       "mr-chicken": { "lock": ["menu", "description"] },
+ *       "okilab": { "lock": true }
+ *     }
+ *   }
+ *
+ * `lock` lists fields automatic detection must leave alone ("cuisine" covers
+ * the label, tags and confidence as well), or is `true` to freeze the whole
+ * truck. Keys may be truck IDs that were since merged or re-keyed; they follow
+ * trucks.json `redirects`.
+ */
+import { existsSync, readFileSync } from 'node:fs';
+import { OVERRIDES_PATH } from './paths.js';
+import { labelForCuisine } from './normalize.js';
+import { resolveTruckId } from '../../src/lib/data.js';
+
+/** Truck fields an override may pin */
+export const OVERRIDE_FIELDS = ['name', 'name_en', 'cuisine', 'cuisine_label', 'cuisine_tags', 'url', 'contact_instagram', 'accepts_preorder'];
+
+/** Fields the scraper updates on its own, and so the ones worth locking */
+export const LOCKABLE_FIELDS = ['cuisine', 'menu', 'description'];
+
+/**
+ * @typedef {Object} TruckOverride
+ * @property {string} [name]
+ * @property {string} [name_en]
+ * @property {string} [cuisine] - A CUISINE_MAP key
+ * @property {string} [cuisine_label] - Defaults to the cuisine's usual label when cuisine is pinned
+ * @property {string[]} [cuisine_tags]
+ * @property {string} [url]
+ * @property {string} [contact_instagram]
+ * @property {boolean} [accepts_preorder]
+ * @property {string[]|true} [lock]
+ */
+
+/**
+ * Load the overrides table.
+ * @param {string} [path]
+ * @returns {Record<string, TruckOverride>} Truck ID → override
+ */
+export function loadOverrides(path = OVERRIDES_PATH) {
+    if (!existsSync(path)) return {};
+    return JSON.parse(readFileSync(path, 'utf-8')).overrides || {};
+}
+
+/**
+ * Index overrides by the live truck ID they apply to, following redirects.
+ * @param {Record<string, TruckOverride>} overrides
+ * @param {Record<string, string>} [redirects]
+ * @returns {Map<string, TruckOverride>}
+ */
+export function overridesByTruck(overrides, redirects = {}) {
+    const byTruck = new Map();
+    for (const [id, override] of Object.entries(overrides)) {
+        const truckId = resolveTruckId(id, redirects);
+        // An entry under the current ID wins over one left under an old ID
+        if (!byTruck.has(truckId) || truckId === id) byTruck.set(truckId, override);
+    }
+    return byTruck;
+}
+
+/**
+ * Whether automatic detection must leave a truck field alone.
+ * @param {TruckOverride|undefined} override
+ * @param {string} field - e.g. 'cuisine', 'menu'
+ * @returns {boolean}
+ */
+export function isLocked(override, field) {
+    if (!override) return false;
+    if (override.lock === true) return true;
+    if (Array.isArray(override.lock) && override.lock.includes(field)) return true;
+    return override[field] !== undefined;
+}
+
+/**
+ * Apply pinned values to the trucks they name.
+ * @param {import('../../src/lib/types.js').Truck[]} trucks - Mutated
+ * @param {Map<string, TruckOverride>} byTruck - From overridesByTruck
+ * @returns {string[]} IDs of trucks that changed
+ */
+export function applyOverrides(trucks, byTruck) {
+    const changed = [];
+    for (const truck of trucks) {
+        const override = byTruck.get(truck.id);
+        if (!override) continue;
+        const before = JSON.stringify(truck);
+
+        for (const field of OVERRIDE_FIELDS) {
+            if (override[field] !== undefined) truck[field] = override[field];
+        }
+        if (override.cuisine !== undefined) {
+            // A hand-set cuisine needs no confidence score, nor a tag repeating it
+            if (override.cuisine_label === undefined) truck.cuisine_label = labelForCuisine(override.cuisine);
+            delete truck.cuisine_confidence;
+            if (truck.cuisine_tags) {
+                truck.cuisine_tags = truck.cuisine_tags.filter(key => key !== truck.cuisine);
+                if (truck.cuisine_tags.length === 0) delete truck.cuisine_tags;
+            }
+        }
+
+        if (JSON.stringify(truck) !== before) changed.push(truck.id);
+    }
+    return changed;
+}
@@ -12,3 +12,15 @@ export const ROOT_DIR = join(SCRIPTS_DIR, '..');
 export const DATA_DIR = join(ROOT_DIR, 'static', 'data');
 export const TRUCKS_PATH = join(DATA_DIR, 'trucks.json');
 export const SCHEDULE_PATH = join(DATA_DIR, 'schedule.json');
+export const HISTORY_DIR = join(DATA_DIR, 'history');
+export const ALIASES_PATH = join(DATA_DIR, 'aliases.json');
+export const UNMATCHED_PATH = join(DATA_DIR, 'unmatched.json');
+export const OVERRIDES_PATH = join(DATA_DIR, 'overrides.json');
+/** Published JSON Schemas for trucks.json and schedule.json (see lib/schema.js) */
+export const SCHEMA_DIR = join(DATA_DIR, 'schema');
+/** JSDoc shapes of the data files, checked against the schemas */
+export const TYPES_PATH = join(ROOT_DIR, 'src', 'lib', 'types.js');
+/** Per-run lineup diff reports (not committed) */
+export const REPORT_DIR = join(ROOT_DIR, 'reports');
+/** Scraper HTTP cache (not committed; persisted by the CI workflow) */
+export const HTTP_CACHE_DIR = join(ROOT_DIR, '.cache', 'http');
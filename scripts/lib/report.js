@@ -0,0 +1,148 @@
+/**
+ * Lineup diff report for a scrape run: what changed against the previous
+ * schedule.json, per date and venue, plus trucks created and cuisines changed.
+ *
+ * Written as JSON (lineup-diff.json) for tooling and Markdown (lineup-diff.md)
+ * for the data commit body and the GitHub job summary:
+ *
+ *   {
+ *     "generated_at": "2026-02-25T06:00:00.000Z",
+ *     "window": { "start": "2026-02-25", "end": "2026-03-03" },
+ *     "summary": { "added": 3, "removed": 1, "new_trucks": 1, "cuisine_changes": 0 },
+ *     "dates": [
+ *       { "date": "2026-02-25", "venues": [
+ *         { "venue_id": "sankei", "added": [{ "id": "gossamu", "name": "ごっさむ" }], "removed": [] }
+ *       ] }
+ *     ],
+ *     "new_trucks": [{ "id": "gossamu", "name": "ごっさむ", "cuisine": "unknown" }],
+ *     "cuisine_changes": [{ "id": "kanbim", "name": "韓美味", "from": "asian", "to": "korean" }]
+ *   }
+ */
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+/**
+ * @typedef {Object} LineupDiff
+ * @property {string} generated_at - ISO timestamp of the run
+ * @property {{start: string, end: string}} window
+ * @property {{added: number, removed: number, new_trucks: number, cuisine_changes: number}} summary
+ * @property {Array<{date: string, venues: Array<{venue_id: string, added: Array<{id: string, name: string}>, removed: Array<{id: string, name: string}>}>}>} dates
+ * @property {Array<{id: string, name: string, cuisine: string}>} new_trucks
+ * @property {Array<{id: string, name: string, from: string, to: string}>} cuisine_changes
+ */
+
+/**
+ * Compare the window's lineup before and after a run.
+ * @param {Object} input
+ * @param {Array<{date: string, venue_id: string, truck_id: string}>} input.before - Previous entries within the window
+ * @param {Array<{date: string, venue_id: string, truck_id: string}>} input.after - This run's entries within the window
+ * @param {string[]} input.weekDates
+ * @param {Array<{id: string, name: string}>} input.venues - In display order
+ * @param {import('../../src/lib/types.js').Truck[]} input.trucks - Truck list after the run
+ * @param {string[]} input.newTruckIds - Trucks created this run
+ * @param {Map<string, string>} input.cuisinesBefore - Truck ID → cuisine before the run
+ * @param {Date} input.now
+ * @returns {LineupDiff}
+ */
+export function buildLineupDiff({ before, after, weekDates, venues, trucks, newTruckIds, cuisinesBefore, now }) {
+    const truckMap = new Map(trucks.map(t => [t.id, t]));
+    const ref = id => ({ id, name: truckMap.get(id)?.name ?? id });
+
+    /** @param {Array<{date: string, venue_id: string, truck_id: string}>} entries */
+    const lineup = entries => {
+        const byDay = new Map();
+        for (const e of entries) {
+            const key = `${e.date}|${e.venue_id}`;
+            if (!byDay.has(key)) byDay.set(key, new Set());
+            byDay.get(key).add(e.truck_id);
+        }
+        return byDay;
+    };
+    const prev = lineup(before);
+    const next = lineup(after);
+
+    let added = 0;
+    let removed = 0;
+    const dates = [];
+    for (const date of weekDates) {
+        const venueDiffs = [];
+        for (const venue of venues) {
+            const key = `${date}|${venue.id}`;
+            const was = prev.get(key) || new Set();
+            const is = next.get(key) || new Set();
+            const plus = [...is].filter(id => !was.has(id)).sort().map(ref);
+            const minus = [...was].filter(id => !is.has(id)).sort().map(ref);
+            if (plus.length === 0 && minus.length === 0) continue;
+            added += plus.length;
+            removed += minus.length;
+            venueDiffs.push({ venue_id: venue.id, added: plus, removed: minus });
+        }
+        if (venueDiffs.length > 0) dates.push({ date, venues: venueDiffs });
+    }
+
+    const newTrucks = newTruckIds.map(id => ({ ...ref(id), cuisine: truckMap.get(id)?.cuisine ?? 'unknown' }));
+    const cuisineChanges = trucks
+        .filter(t => cuisinesBefore.has(t.id) && cuisinesBefore.get(t.id) !== t.cuisine)
+        .map(t => ({ id: t.id, name: t.name, from: cuisinesBefore.get(t.id), to: t.cuisine }));
+
+    return {
+        generated_at: now.toISOString(),
+        window: { start: weekDates[0], end: weekDates[weekDates.length - 1] },
+        summary: { added, removed, new_trucks: newTrucks.length, cuisine_changes: cuisineChanges.length },
+        dates,
+        new_trucks: newTrucks,
+        cuisine_changes: cuisineChanges
+    };
+}
+
+/**
+ * Render a lineup diff as Markdown.
+ * @param {LineupDiff} diff
+ * @param {Array<{id: string, name: string}>} venues
+ * @returns {string}
+ */
+export function renderLineupDiff(diff, venues) {
+    const venueNames = new Map(venues.map(v => [v.id, v.name]));
+    const { summary } = diff;
+    const newIds = new Set(diff.new_trucks.map(t => t.id));
+    const truck = t => `${t.name} (\`${t.id}\`)${newIds.has(t.id) ? ' 🆕' : ''}`;
+
+    const lines = [`### Lineup changes ${diff.window.start} → ${diff.window.end}`, ''];
+    if (diff.dates.length === 0 && summary.new_trucks === 0 && summary.cuisine_changes === 0) {
+        lines.push('No lineup changes.');
+        return lines.join('\n') + '\n';
+    }
+
+    lines.push(`+${summary.added} added · −${summary.removed} removed · ${summary.new_trucks} new truck(s) · ${summary.cuisine_changes} cuisine change(s)`);
+    for (const { date, venues: venueDiffs } of diff.dates) {
+        lines.push('', `#### ${date}`, '');
+        for (const v of venueDiffs) {
+            const changes = [...v.added.map(t => `+ ${truck(t)}`), ...v.removed.map(t => `− ${truck(t)}`)];
+            lines.push(`- **${venueNames.get(v.venue_id) ?? v.venue_id}**: ${changes.join(', ')}`);
+        }
+    }
+    if (diff.new_trucks.length > 0) {
+        lines.push('', '#### New trucks', '');
+        for (const t of diff.new_trucks) lines.push(`- ${t.name} (\`${t.id}\`) — ${t.cuisine}`);
+    }
+    if (diff.cuisine_changes.length > 0) {
+        lines.push('', '#### Cuisine changes', '');
+        for (const t of diff.cuisine_changes) lines.push(`- ${t.name} (\`${t.id}\`): ${t.from} → ${t.to}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Write lineup-diff.json and lineup-diff.md.
+ * @param {LineupDiff} diff
+ * @param {Array<{id: string, name: string}>} venues
+ * @param {string} dir
+ * @returns {{json: string, markdown: string}} Paths written
+ */
+export function writeLineupDiff(diff, venues, dir) {
+    mkdirSync(dir, { recursive: true });
+    const paths = { json: join(dir, 'lineup-diff.json'), markdown: join(dir, 'lineup-diff.md') };
+    writeFileSync(paths.json, JSON.stringify(diff, null, 2) + '\n', 'utf-8');
+    writeFileSync(paths.markdown, renderLineupDiff(diff, venues), 'utf-8');
+    return paths;
+}
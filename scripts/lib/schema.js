@@ -0,0 +1,153 @@
+/**
+ * JSON Schemas for the published data files, and the checks that hold the
+ * data and the JSDoc types to them.
+ *
+ * trucks.json and schedule.json carry a `schema_version`; the schema for
+ * each lives at static/data/schema/<file>.v<version>.json and is deployed
+ * with the data as the contract for anyone consuming it. Optional fields may
+ * be added within a version; removing, renaming or retyping a field bumps it.
+ *
+ * src/lib/types.js can't be generated from the schemas without a TypeScript
+ * build step, so validate.js compares the two instead: every object the
+ * schemas define needs a `@typedef` of the same name (the root's `title`, or
+ * its `$defs` key) with the same properties, optional exactly where the
+ * schema doesn't require them, and matching types.
+ */
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { SCHEMA_DIR } from './paths.js';
+
+/** Version the scraper writes, and the schemas validate.js checks against */
+export const SCHEMA_VERSION = 1;
+
+/** Data files with a schema */
+export const SCHEMA_NAMES = /** @type {const} */ (['trucks', 'schedule']);
+
+/** @typedef {typeof SCHEMA_NAMES[number]} SchemaName */
+
+/**
+ * @typedef {Object} SchemaError
+ * @property {string} path - JSON Pointer into the file, e.g. "/schedule/12/date"
+ * @property {string} message
+ */
+
+/**
+ * @param {SchemaName} name
+ * @param {number} [version]
+ * @returns {Record<string, any>}
+ */
+export function loadSchema(name, version = SCHEMA_VERSION) {
+    return JSON.parse(readFileSync(join(SCHEMA_DIR, `${name}.v${version}.json`), 'utf-8'));
+}
+
+/**
+ * Compile the current schemas.
+ * @returns {(name: SchemaName, data: unknown) => SchemaError[]} Validate a parsed
+ *   data file; an empty list means it conforms
+ */
+export function createDataValidator() {
+    const ajv = new Ajv2020({ allErrors: true, strict: true });
+    addFormats(ajv);
+    const validators = new Map(SCHEMA_NAMES.map(name => [name, ajv.compile(loadSchema(name))]));
+
+    return (name, data) => {
+        const validate = /** @type {import('ajv').ValidateFunction} */ (validators.get(name));
+        if (validate(data)) return [];
+        return (validate.errors || []).map(err => {
+            const { params } = err;
+            let detail = '';
+            if (params.additionalProperty) detail = `: "${params.additionalProperty}"`;
+            else if (params.allowedValues) detail = `: ${params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+            else if (params.allowedValue !== undefined) detail = `: ${JSON.stringify(params.allowedValue)}`;
+            return { path: err.instancePath || '/', message: `${err.message}${detail}` };
+        });
+    };
+}
+
+/**
+ * Read the `@typedef {Object}` blocks of a JSDoc types file.
+ * @param {string} source - e.g. the text of src/lib/types.js
+ * @returns {Map<string, Map<string, {type: string, optional: boolean}>>} Typedef → property → declaration
+ */
+export function parseTypedefs(source) {
+    const typedefs = new Map();
+    for (const [block] of source.matchAll(/\/\*\*[\s\S]*?\*\//g)) {
+        const name = block.match(/@typedef\s+\{Object\}\s+(\w+)/)?.[1];
+        if (!name) continue;
+        const properties = new Map();
+        for (const m of block.matchAll(/@property\s+\{([^}]*)\}\s+(\[?)(\w+)\]?/g)) {
+            properties.set(m[3], { type: m[1].replace(/\s+/g, ''), optional: m[2] === '[' });
+        }
+        typedefs.set(name, properties);
+    }
+    return typedefs;
+}
+
+/**
+ * The JSDoc type a schema node corresponds to, where it has a simple one.
+ * @param {Record<string, any>} node
+ * @param {Record<string, any>} defs - The schema's `$defs`
+ * @returns {string|null} e.g. "string", "MenuItem[]", "Record<string,string>"; null if not comparable
+ */
+function jsdocTypeOf(node, defs) {
+    if (node.$ref) {
+        const name = node.$ref.replace('#/$defs/', '');
+        const target = defs[name];
+        if (!target) return null;
+        return target.type === 'object' ? name : jsdocTypeOf(target, defs);
+    }
+    if (node.const !== undefined) return JSON.stringify(node.const);
+    if (node.enum) return node.enum.map(v => JSON.stringify(v).replace(/"/g, "'")).join('|');
+    if (node.type === 'string' || node.type === 'boolean') return node.type;
+    if (node.type === 'number' || node.type === 'integer') return 'number';
+    if (node.type === 'array' && node.items) {
+        const item = jsdocTypeOf(node.items, defs);
+        return item && !item.includes('|') ? `${item}[]` : null;
+    }
+    if (node.type === 'object' && node.additionalProperties && !node.properties) {
+        const value = jsdocTypeOf(node.additionalProperties, defs);
+        return value ? `Record<string,${value}>` : null;
+    }
+    return null;
+}
+
+/**
+ * Compare JSDoc typedefs with the object shapes a schema defines.
+ * @param {Record<string, any>} schema
+ * @param {Map<string, Map<string, {type: string, optional: boolean}>>} typedefs - From parseTypedefs
+ * @returns {string[]} Mismatches, e.g. "ScheduleEntry.cancelled: optional in the schema, required in types.js"
+ */
+export function checkTypedefs(schema, typedefs) {
+    const defs = schema.$defs || {};
+    const shapes = [[schema.title, schema], ...Object.entries(defs)].filter(([, node]) => node.type === 'object' && node.properties);
+    const problems = [];
+
+    for (const [name, shape] of shapes) {
+        const typedef = typedefs.get(name);
+        if (!typedef) {
+            problems.push(`${name}: no @typedef in types.js`);
+            continue;
+        }
+        const required = new Set(shape.required || []);
+        for (const [prop, node] of Object.entries(shape.properties)) {
+            const declared = typedef.get(prop);
+            if (!declared) {
+                problems.push(`${name}.${prop}: in the schema, missing from types.js`);
+                continue;
+            }
+            if (declared.optional === required.has(prop)) {
+                problems.push(`${name}.${prop}: ${required.has(prop) ? 'required' : 'optional'} in the schema, ${declared.optional ? 'optional' : 'required'} in types.js`);
+            }
+            const expected = jsdocTypeOf(node, defs);
+            if (expected && expected !== declared.type) {
+                problems.push(`${name}.${prop}: {${expected}} in the schema, {${declared.type}} in types.js`);
+            }
+        }
+        for (const prop of typedef.keys()) {
+            if (!(prop in shape.properties)) problems.push(`${name}.${prop}: in types.js, missing from the schema`);
+        }
+    }
+    return problems;
+}
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Find and merge duplicate trucks in trucks.json.
+ *
+ * Candidates are scored on kana/romaji-folded names, shared detail-page data
+ * (URL, menu, description) and cuisine. Merging moves schedule and history
+ * entries to the kept ID, fills its empty fields from the retired truck, and
+ * records a redirect so favorites saved under the old ID keep working.
+ *
+ * Usage:
+ *   node scripts/merge-trucks.js find [--min <score>]
+ *       List probable duplicate pairs (default min score 0.7) with a merge command
+ *   node scripts/merge-trucks.js merge <from-id> <into-id> [--dry-run]
+ *       Fold <from-id> into <into-id>
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+
+import { isPlaceholderId } from './lib/normalize.js';
+import { loadAliases, saveAliases, loadUnmatched, saveUnmatched } from './lib/aliases.js';
+import { findDuplicates, mergeTrucks, DUPLICATE_THRESHOLD } from './lib/merge.js';
+import { TRUCKS_PATH, SCHEDULE_PATH } from './lib/paths.js';
+
+const USAGE = `Usage:
+  node scripts/merge-trucks.js find [--min <score>]
+  node scripts/merge-trucks.js merge <from-id> <into-id> [--dry-run]`;
+
+/**
+ * @param {string} path
+ * @returns {any}
+ */
+function readJson(path) {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * @param {string} path
+ * @param {any} data
+ */
+function writeJson(path, data) {
+    writeFileSync(path, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * `find`: print probable duplicates, suggesting which ID to keep — a curated
+ * ID over a placeholder, then the truck with more scheduled appearances.
+ * @param {{min: number}} options
+ */
+function find({ min }) {
+    const { trucks } = readJson(TRUCKS_PATH);
+    const { schedule } = readJson(SCHEDULE_PATH);
+    const counts = new Map();
+    for (const e of schedule) counts.set(e.truck_id, (counts.get(e.truck_id) || 0) + 1);
+
+    const pairs = findDuplicates(trucks, min);
+    console.log(`🔎 ${pairs.length} probable duplicate pair(s) (score ≥ ${min})\n`);
+    for (const { a, b, score, reasons } of pairs) {
+        const rank = t => [isPlaceholderId(t.id) ? 0 : 1, counts.get(t.id) || 0];
+        const [ra, rb] = [rank(a), rank(b)];
+        const keepA = ra[0] !== rb[0] ? ra[0] > rb[0] : ra[1] >= rb[1];
+        const [keep, retire] = keepA ? [a, b] : [b, a];
+
+        console.log(`  ${score.toFixed(2)}  ${a.id} (${a.name})  ↔  ${b.id} (${b.name})`);
+        console.log(`        ${reasons.join(', ')}`);
+        console.log(`        node scripts/merge-trucks.js merge ${retire.id} ${keep.id}`);
+    }
+}
+
+/**
+ * `merge`: fold one truck into another and write every affected file.
+ * @param {string} fromId
+ * @param {string} intoId
+ * @param {{dryRun: boolean}} options
+ */
+function merge(fromId, intoId, { dryRun }) {
+    const trucksData = readJson(TRUCKS_PATH);
+    const scheduleData = readJson(SCHEDULE_PATH);
+    const aliases = loadAliases();
+    const log = loadUnmatched();
+
+    const { scheduleMoved, historyMoved } = mergeTrucks(trucksData, scheduleData, aliases, fromId, intoId, { dryRun });
+    for (const n of log.names) if (n.truck_id === fromId) n.truck_id = intoId;
+
+    console.log(`${dryRun ? '🔍 Dry run — would merge' : '✓ Merged'} ${fromId} into ${intoId}: ${scheduleMoved} schedule and ${historyMoved} history entries moved, redirect recorded`);
+    if (dryRun) return;
+
+    writeJson(TRUCKS_PATH, trucksData);
+    writeJson(SCHEDULE_PATH, scheduleData);
+    saveAliases(aliases);
+    saveUnmatched(log);
+}
+
+function main() {
+    const { values, positionals } = parseArgs({
+        args: process.argv.slice(2),
+        allowPositionals: true,
+        options: {
+            min: { type: 'string', default: String(DUPLICATE_THRESHOLD) },
+            'dry-run': { type: 'boolean', default: false }
+        }
+    });
+    const [command, ...rest] = positionals;
+
+    if (command === 'find') {
+        find({ min: Number(values.min) });
+    } else if (command === 'merge' && rest.length === 2) {
+        merge(rest[0], rest[1], { dryRun: values['dry-run'] });
+    } else {
+        console.error(USAGE);
+        process.exitCode = 1;
+    }
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(`✗ ${err.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Re-key legacy timestamp truck IDs (truck-1771400426440) to the readable,
+ * deterministic IDs generateId now gives Japanese names (gossamu, shino-417066).
+ *
+ * Each truck keeps its schedule, history and aliases under the new ID, and the
+ * old ID is recorded in trucks.json `redirects` so saved favorites and links
+ * still resolve. Where the new ID already belongs to another truck, the two are
+ * the same name and get merged (see lib/merge.js).
+ *
+ * Usage:
+ *   node scripts/migrate-ids.js [--dry-run]
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+
+import { generateId, isPlaceholderId } from './lib/normalize.js';
+import { loadAliases, saveAliases, loadUnmatched, saveUnmatched } from './lib/aliases.js';
+import { mergeTrucks, renameTruck } from './lib/merge.js';
+import { resolveTruckId } from '../src/lib/data.js';
+import { TRUCKS_PATH, SCHEDULE_PATH } from './lib/paths.js';
+
+/**
+ * @param {string} path
+ * @returns {any}
+ */
+function readJson(path) {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * @param {string} path
+ * @param {any} data
+ */
+function writeJson(path, data) {
+    writeFileSync(path, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+}
+
+function main() {
+    const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            'dry-run': { type: 'boolean', default: false }
+        }
+    });
+    const dryRun = values['dry-run'];
+
+    const trucksData = readJson(TRUCKS_PATH);
+    const scheduleData = readJson(SCHEDULE_PATH);
+    const aliases = loadAliases();
+    const log = loadUnmatched();
+
+    const legacy = trucksData.trucks.filter(t => isPlaceholderId(t.id));
+    console.log(`🔑 ${legacy.length} truck(s) with timestamp IDs\n`);
+
+    let renamed = 0;
+    let merged = 0;
+    for (const truck of legacy) {
+        const fromId = truck.id;
+        const toId = resolveTruckId(generateId(truck.name), trucksData.redirects);
+        const taken = trucksData.trucks.some(t => t.id === toId);
+
+        const { scheduleMoved, historyMoved } = taken
+            ? mergeTrucks(trucksData, scheduleData, aliases, fromId, toId, { dryRun })
+            : renameTruck(trucksData, scheduleData, aliases, fromId, toId, { dryRun });
+        for (const n of log.names) if (n.truck_id === fromId) n.truck_id = toId;
+
+        console.log(`  ${taken ? '⇢ merged' : '→'} ${fromId} ${taken ? 'into' : 'to'} ${toId}  ${truck.name}  (${scheduleMoved} schedule, ${historyMoved} history)`);
+        if (taken) merged++;
+        else renamed++;
+    }
+
+    console.log(`\n${dryRun ? '🔍 Dry run — would have re-keyed' : '✓ Re-keyed'} ${renamed} truck(s) and merged ${merged} into existing IDs; old IDs redirect`);
+    if (dryRun) return;
+
+    writeJson(TRUCKS_PATH, trucksData);
+    writeJson(SCHEDULE_PATH, scheduleData);
+    saveAliases(aliases);
+    saveUnmatched(log);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(`✗ ${err.message}`);
+    process.exit(1);
+}
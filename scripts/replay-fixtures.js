@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Replay every committed scraper fixture (scripts/fixtures/<name>/) and check
+ * the output against its golden files. Exits 1 if any replay differs.
+ *
+ * Usage:
+ *   node scripts/replay-fixtures.js            All fixtures
+ *   node scripts/replay-fixtures.js <name>...  Only these
+ *
+ * Each replay runs scrape.js --replay in its own process, so fixtures can't
+ * leak state into one another. After an intended change to the scraper
+ * output, refresh a fixture's golden files from its actual/ directory.
+ */
+
+import { existsSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { SCRIPTS_DIR } from './lib/paths.js';
+import { MANIFEST_FILE } from './lib/fixtures.js';
+
+const FIXTURES_DIR = join(SCRIPTS_DIR, 'fixtures');
+
+const requested = process.argv.slice(2);
+const names = requested.length > 0
+    ? requested
+    : readdirSync(FIXTURES_DIR).filter(name => existsSync(join(FIXTURES_DIR, name, MANIFEST_FILE))).sort();
+
+if (names.length === 0) {
+    console.error(`✗ No fixtures found in ${FIXTURES_DIR}`);
+    process.exit(1);
+}
+
+const failed = [];
+for (const name of names) {
+    const dir = join(FIXTURES_DIR, name);
+    const result = spawnSync(process.execPath, [join(SCRIPTS_DIR, 'scrape.js'), '--replay', dir], { encoding: 'utf-8' });
+    if (result.status === 0) {
+        console.log(`✓ ${name}`);
+        continue;
+    }
+    failed.push(name);
+    console.log(`✗ ${name}`);
+    // The scraper's own log says what differed
+    process.stdout.write(result.stdout + result.stderr);
+}
+
+console.log(`\n${names.length - failed.length}/${names.length} fixture(s) replayed cleanly`);
+if (failed.length > 0) process.exitCode = 1;
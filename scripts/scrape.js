@@ -5,19 +5,134 @@
  * Reads trucks.json for existing truck data, runs all venue scrapers,
  * resolves truck names to IDs, and writes schedule.json.
  *
- * Usage: node scripts/scrape.js
+ * Usage:
+ *   node scripts/scrape.js                  Live scrape into static/data/
+ *   node scripts/scrape.js --record <dir>   Live scrape, also pinning every fetched
+ *                                           page + input/output data as a fixture
+ *   node scripts/scrape.js --replay <dir>   Offline re-run against a fixture; writes
+ *                                           <dir>/actual/ and compares with <dir>/expected/
+ *   node scripts/scrape.js --no-cache       Live scrape ignoring the on-disk HTTP cache
+ *                                           (.cache/http/); record, replay and --dry-run
+ *                                           never use it
+ *
+ * Live-run options:
+ *   --venue <id>       Scrape only this venue (repeatable); others carry over
+ *   --start <date>     First date of the window (YYYY-MM-DD, default today)
+ *   --days <n>         Window length in days (default SCHEDULE_HORIZON_DAYS, 14)
+ *                      --start and --days need --out or --dry-run
+ *   --out <dir>        Write schedule.json, trucks.json, unmatched.json, history/
+ *                      and the lineup diff to <dir> instead of static/data/ and reports/
+ *   --dry-run          Write nothing, the HTTP cache included; print the lineup
+ *                      diff instead
+ *   --json             Print a JSON summary (source runs, data quality, counts) on
+ *                      stdout; progress goes to stderr
  */
 
-import { readFileSync, writeFileSync } from 'node:fs';
+import { readFileSync, writeFileSync, mkdirSync, copyFileSync, rmSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { VENUES, HTTP_CACHE, SCHEDULE_HORIZON_DAYS } from './config.js';
+import { getCurrentWeekDates, formatDateISO } from './lib/dates.js';
+import { matchTruck, createPlaceholder, applyCuisine, isPlaceholderId } from './lib/normalize.js';
+import { applyMenu } from './lib/menu.js';
+import { resolveTruckId } from '../src/lib/data.js';
+import { TRUCKS_PATH, SCHEDULE_PATH, HISTORY_DIR, UNMATCHED_PATH, OVERRIDES_PATH, ALIASES_PATH, REPORT_DIR, HTTP_CACHE_DIR } from './lib/paths.js';
+import { archiveSchedule } from './lib/history.js';
+import { SCHEMA_VERSION } from './lib/schema.js';
+import { loadAliases, loadUnmatched, saveUnmatched, recordUnmatched } from './lib/aliases.js';
+import { loadOverrides, overridesByTruck, isLocked, applyOverrides } from './lib/overrides.js';
+import { buildLineupDiff, renderLineupDiff, writeLineupDiff } from './lib/report.js';
+import { createHttpClient } from './lib/http.js';
+import { createCachedFetch } from './lib/cache.js';
+import {
+    fixturePaths,
+    readManifest,
+    createRecorder,
+    createReplayer,
+    snapshotFiles,
+    compareWithGolden
+} from './lib/fixtures.js';
 
-import { VENUES } from './config.js';
-import { getCurrentWeekDates } from './lib/dates.js';
-import { findMatch, createPlaceholder, detectCuisine } from './lib/normalize.js';
-import { TRUCKS_PATH, SCHEDULE_PATH } from './lib/paths.js';
+/**
+ * @typedef {Object} CliArgs
+ * @property {string|null} record - Absolute fixture directory
+ * @property {string|null} replay - Absolute fixture directory
+ * @property {boolean} cache
+ * @property {string[]|null} venues - Venue IDs to scrape (null = all)
+ * @property {string|null} start - First window date, YYYY-MM-DD
+ * @property {number} days - Window length
+ * @property {string|null} out - Absolute output directory
+ * @property {boolean} dryRun
+ * @property {boolean} json
+ */
+
+/**
+ * Parse command-line flags.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {CliArgs}
+ */
+function parseCliArgs(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            record: { type: 'string' },
+            replay: { type: 'string' },
+            'no-cache': { type: 'boolean', default: false },
+            venue: { type: 'string', multiple: true },
+            start: { type: 'string' },
+            days: { type: 'string' },
+            out: { type: 'string' },
+            'dry-run': { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false }
+        }
+    });
+    if (values.record && values.replay) {
+        throw new Error('--record and --replay cannot be combined');
+    }
+    // A fixture pins the venues, window and paths; a recording snapshots static/data/
+    const pinned = ['venue', 'start', 'days', 'out', 'dry-run'].filter(f => values[f] !== undefined && values[f] !== false);
+    if (values.replay && pinned.length > 0) {
+        throw new Error(`--replay cannot be combined with ${pinned.map(f => `--${f}`).join(', ')}`);
+    }
+    if (values.record && (values.out || values['dry-run'])) {
+        throw new Error('--record cannot be combined with --out or --dry-run');
+    }
+    // schedule.json only keeps the window it was scraped for, so a shifted or
+    // shortened window written in place would drop the rest of the horizon
+    const windowFlags = ['start', 'days'].filter(f => values[f] !== undefined);
+    if (windowFlags.length > 0 && !values.out && !values['dry-run']) {
+        throw new Error(`${windowFlags.map(f => `--${f}`).join(' and ')} would replace static/data/ with a partial window — combine with --out or --dry-run`);
+    }
+
+    const unknown = (values.venue || []).filter(id => !VENUES[id]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown venue(s): ${unknown.join(', ')} — expected one of ${Object.keys(VENUES).join(', ')}`);
+    }
+    if (values.start !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(values.start) || Number.isNaN(Date.parse(values.start)))) {
+        throw new Error(`--start must be a date (YYYY-MM-DD), got "${values.start}"`);
+    }
+    const days = values.days === undefined ? SCHEDULE_HORIZON_DAYS : Number(values.days);
+    if (!Number.isInteger(days) || days < 1) {
+        throw new Error(`--days must be a positive whole number, got "${values.days}"`);
+    }
+
+    return {
+        record: values.record ? resolve(values.record) : null,
+        replay: values.replay ? resolve(values.replay) : null,
+        cache: !values['no-cache'],
+        venues: values.venue ? [...new Set(values.venue)] : null,
+        start: values.start ?? null,
+        days,
+        out: values.out ? resolve(values.out) : null,
+        dryRun: values['dry-run'],
+        json: values.json
+    };
+}
 
 /**
  * Dynamically import the scraper module for a given parser name.
- * @param {string} parserName - e.g. 'kawabata', 'mellow', 'neo-yatai'
+ * @param {string} parserName - e.g. 'generic', 'mellow'
  * @returns {Promise<{scrape: Function}>}
  */
 async function loadScraper(parserName) {
@@ -25,55 +140,158 @@ async function loadScraper(parserName) {
 }
 
 /**
- * Run a scraper with retry logic.
+ * Run a venue's scraper once. Transient failures are retried per request by
+ * the HTTP client (lib/http.js); a venue that still fails, or answers 404,
+ * is reported as an error rather than re-scraped.
  * @param {string} venueId
  * @param {Object} config
  * @param {string[]} weekDates
- * @param {number} maxRetries
+ * @param {{fetch?: typeof fetch}} context - Passed through to the scraper
  * @returns {Promise<{venueId: string, status: string, entries: Array, error?: string}>}
  */
-async function runWithRetry(venueId, config, weekDates, maxRetries = 2) {
-    let lastError;
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        try {
-            if (attempt > 0) {
-                console.log(`  ↻ Retry ${attempt}/${maxRetries} for ${venueId}...`);
-                await new Promise(r => setTimeout(r, 1000 * attempt)); // backoff
-            }
-            const scraper = await loadScraper(config.parser);
-            const entries = await scraper.scrape(config, weekDates);
-            return { venueId, status: 'ok', entries };
-        } catch (err) {
-            lastError = err;
-            console.error(`  ✗ ${venueId} attempt ${attempt + 1}: ${err.message}`);
-        }
+async function runScraper(venueId, config, weekDates, context) {
+    try {
+        const scraper = await loadScraper(config.parser);
+        const entries = await scraper.scrape(config, weekDates, context);
+        return { venueId, status: 'ok', entries };
+    } catch (err) {
+        console.error(`  ✗ ${venueId}: ${err.message}`);
+        return { venueId, status: 'error', entries: [], error: err.message || 'Unknown error' };
     }
-    return { venueId, status: 'error', entries: [], error: lastError?.message || 'Unknown error' };
 }
 
 /**
  * Load existing schedule data for incremental merging.
  * Returns the existing schedule entries, filtered to only include
- * dates within the current target window.
+ * dates within the current target window, and the previous run's
+ * source_runs (kept for venues a --venue run skips).
+ * @param {string} schedulePath - schedule.json to read
  * @param {string[]} weekDates - Target date range
- * @returns {Array<{date: string, venue_id: string, truck_id: string}>}
+ * @returns {{entries: Array<import('../src/lib/types.js').ScheduleEntry>, sourceRuns: Array<{venue_id: string, status: string, entries_count: number, error?: string}>}}
  */
-function loadExistingSchedule(weekDates) {
+function loadExistingSchedule(schedulePath, weekDates) {
     try {
-        const existing = JSON.parse(readFileSync(SCHEDULE_PATH, 'utf-8'));
-        if (!existing.schedule || !Array.isArray(existing.schedule)) return [];
+        const existing = JSON.parse(readFileSync(schedulePath, 'utf-8'));
+        const sourceRuns = Array.isArray(existing.source_runs) ? existing.source_runs : [];
+        if (!existing.schedule || !Array.isArray(existing.schedule)) return { entries: [], sourceRuns };
 
         const validDates = new Set(weekDates);
         const today = weekDates[0]; // first date in window
 
         // Keep entries that are within the target window AND not in the past
-        return existing.schedule.filter(e => {
+        const entries = existing.schedule.filter(e => {
             return validDates.has(e.date) && e.date >= today;
         });
+        return { entries, sourceRuns };
     } catch {
         // File doesn't exist or is invalid — start fresh
-        return [];
+        return { entries: [], sourceRuns: [] };
+    }
+}
+
+/**
+ * The dates each successfully scraped venue vouched for: every date in the
+ * window its page format can list, so a truck dropped from the first or last
+ * listed day is cancelled too. Dated and recurring listings (mellow, generic
+ * 'tabs' and 'recurring') can reach the whole window; a page keyed by
+ * weekday only ('weekday-headings') shows the coming week, so it covers the
+ * window's first seven days. A venue that failed, or listed nothing at all
+ * (more likely a changed page layout than every truck pulling out), covers
+ * no dates.
+ * @param {Array<{venue_id: string, status: string}>} sourceRuns
+ * @param {Array<{venue_id: string}>} rawEntries
+ * @param {string[]} weekDates
+ * @returns {Map<string, Set<string>>} venue_id → covered dates
+ */
+function scrapeCoverage(sourceRuns, rawEntries, weekDates) {
+    const coverage = new Map();
+    for (const run of sourceRuns) {
+        if (run.status !== 'ok' || !rawEntries.some(e => e.venue_id === run.venue_id)) continue;
+        const weekdayKeyed = VENUES[run.venue_id]?.spec?.dates === 'weekday-headings';
+        coverage.set(run.venue_id, new Set(weekdayKeyed ? weekDates.slice(0, 7) : weekDates));
+    }
+    return coverage;
+}
+
+/**
+ * Merge fresh entries into the carried-over schedule. A successful scrape is
+ * authoritative for the dates it covers: an existing entry it no longer lists
+ * is kept but marked `cancelled` (with the time the run noticed), and one it
+ * lists again is restored. Entries outside the coverage (failed venues, dates
+ * the page didn't reach) carry over unchanged, `last_seen` included.
+ * A re-listed entry takes the fresh provenance but keeps its `first_seen`.
+ * @param {Array<import('../src/lib/types.js').ScheduleEntry>} existing
+ * @param {Array<import('../src/lib/types.js').ScheduleEntry>} fresh
+ * @param {Map<string, Set<string>>} coverage - From scrapeCoverage
+ * @param {Date} now
+ * @returns {{schedule: Array<import('../src/lib/types.js').ScheduleEntry>, cancelled: number}}
+ */
+function mergeSchedule(existing, fresh, coverage, now) {
+    const key = e => `${e.date}|${e.venue_id}|${e.truck_id}`;
+    const freshByKey = new Map(fresh.map(e => [key(e), e]));
+
+    // A fresh scrape of an existing entry keeps its position but replaces its
+    // fields, so changed service times are picked up.
+    const merged = new Map();
+    let cancelled = 0;
+    for (const e of existing) {
+        const k = key(e);
+        if (freshByKey.has(k)) {
+            const entry = freshByKey.get(k);
+            merged.set(k, e.first_seen ? { ...entry, first_seen: e.first_seen } : entry);
+        } else if (!e.cancelled && coverage.get(e.venue_id)?.has(e.date)) {
+            merged.set(k, { ...e, cancelled: now.toISOString() });
+            cancelled++;
+        } else {
+            merged.set(k, e);
+        }
+    }
+    for (const e of fresh) {
+        if (!merged.has(key(e))) merged.set(key(e), e);
     }
+    return { schedule: [...merged.values()], cancelled };
+}
+
+/**
+ * Build a schedule entry for a resolved truck, carrying the source's service
+ * times when it listed them and where the entry came from: the venue page and
+ * parser, the name as listed, and the rule that matched it to the truck.
+ * mergeSchedule keeps `first_seen` from an earlier run.
+ * @param {{date: string, venue_id: string, truck_name_raw: string, start?: string, end?: string}} raw - Scraped entry
+ * @param {string} truckId
+ * @param {import('./lib/normalize.js').MatchRule} matchRule
+ * @param {Date} now
+ * @returns {import('../src/lib/types.js').ScheduleEntry}
+ */
+function toScheduleEntry(raw, truckId, matchRule, now) {
+    /** @type {import('../src/lib/types.js').ScheduleEntry} */
+    const entry = { date: raw.date, venue_id: raw.venue_id, truck_id: truckId };
+    if (raw.start && raw.end) {
+        entry.start = raw.start;
+        entry.end = raw.end;
+    }
+    const venue = VENUES[raw.venue_id];
+    entry.source_url = venue?.url;
+    entry.parser = venue?.parser;
+    entry.truck_name_raw = raw.truck_name_raw.trim();
+    entry.match_rule = matchRule;
+    entry.first_seen = now.toISOString();
+    entry.last_seen = now.toISOString();
+    return entry;
+}
+
+/**
+ * The detail-page fields of a scraped entry that a truck's override leaves
+ * the scraper free to update.
+ * @param {{menu?: Array<{name: string, price?: number}>, description?: string}} raw - Scraped entry
+ * @param {import('./lib/overrides.js').TruckOverride} [override]
+ * @returns {{menu?: Array<{name: string, price?: number}>, description?: string}}
+ */
+function unlockedDetails(raw, override) {
+    return {
+        menu: isLocked(override, 'menu') ? undefined : raw.menu,
+        description: isLocked(override, 'description') ? undefined : raw.description
+    };
 }
 
 /**
@@ -117,26 +335,121 @@ function buildDataQuality(schedule, weekDates) {
  * Main scrape pipeline.
  */
 async function main() {
+    let args;
+    try {
+        args = parseCliArgs(process.argv.slice(2));
+    } catch (err) {
+        // Bad flags are a usage error, not a crash
+        console.error(`✗ ${err.message}`);
+        process.exitCode = 1;
+        return;
+    }
+    // Keep stdout for the JSON summary: progress logs (ours and the scrapers')
+    // go to stderr
+    if (args.json) console.log = console.error;
+
     console.log('🚚 Otemachi Eats — Schedule Scraper');
     console.log('====================================\n');
 
+    // 0. Resolve the clock, data paths and fetch for this mode.
+    //    Replay pins all of them to the fixture so the run is deterministic.
+    let now = new Date();
+    let weekDates;
+    let fetchPage = fetch;
+    let recorder = null;
+    let trucksIn = TRUCKS_PATH;
+    let scheduleIn = SCHEDULE_PATH;
+    let trucksOut = TRUCKS_PATH;
+    let scheduleOut = SCHEDULE_PATH;
+    let historyDir = HISTORY_DIR;
+    let unmatchedIn = UNMATCHED_PATH;
+    let unmatchedOut = UNMATCHED_PATH;
+    let overridesIn = OVERRIDES_PATH;
+    let aliasesIn = ALIASES_PATH;
+    let reportDir = REPORT_DIR;
+
+    if (args.replay) {
+        const fixture = fixturePaths(args.replay);
+        const manifest = readManifest(args.replay);
+        now = new Date(manifest.recorded_at);
+        weekDates = manifest.week_dates;
+        fetchPage = createReplayer(args.replay);
+        trucksIn = join(fixture.input, 'trucks.json');
+        scheduleIn = join(fixture.input, 'schedule.json');
+        mkdirSync(fixture.actual, { recursive: true });
+        trucksOut = join(fixture.actual, 'trucks.json');
+        scheduleOut = join(fixture.actual, 'schedule.json');
+        // Start the replay archive from scratch so it only reflects this run
+        historyDir = join(fixture.actual, 'history');
+        rmSync(historyDir, { recursive: true, force: true });
+        unmatchedIn = join(fixture.input, 'unmatched.json');
+        unmatchedOut = join(fixture.actual, 'unmatched.json');
+        overridesIn = join(fixture.input, 'overrides.json');
+        aliasesIn = join(fixture.input, 'aliases.json');
+        reportDir = fixture.actual;
+        console.log(`📼 Replaying fixture ${args.replay} (recorded ${manifest.recorded_at})\n`);
+    } else {
+        weekDates = getCurrentWeekDates(args.start ? new Date(args.start + 'T00:00:00') : now, args.days);
+        if (args.out) {
+            mkdirSync(args.out, { recursive: true });
+            trucksOut = join(args.out, 'trucks.json');
+            scheduleOut = join(args.out, 'schedule.json');
+            historyDir = join(args.out, 'history');
+            unmatchedOut = join(args.out, 'unmatched.json');
+            reportDir = args.out;
+            console.log(`📁 Writing output to ${args.out}\n`);
+        }
+        if (args.dryRun) console.log('🔍 Dry run — nothing will be written\n');
+        if (args.record) {
+            snapshotFiles([TRUCKS_PATH, SCHEDULE_PATH, OVERRIDES_PATH, ALIASES_PATH, UNMATCHED_PATH], fixturePaths(args.record).input);
+            recorder = createRecorder(args.record, { recordedAt: now, weekDates });
+            fetchPage = recorder.fetch;
+            console.log(`📼 Recording fixture to ${args.record}\n`);
+        }
+    }
+
     // 1. Load existing truck master data
-    const trucksData = JSON.parse(readFileSync(TRUCKS_PATH, 'utf-8'));
+    const trucksData = JSON.parse(readFileSync(trucksIn, 'utf-8'));
     const trucks = [...trucksData.trucks]; // mutable copy
+    /** Cuisines as the run found them, for the lineup diff */
+    const cuisinesBefore = new Map(trucks.map(t => [t.id, t.cuisine]));
+    /** IDs of trucks created this run */
+    const newTruckIds = [];
+    /** Curated pins and locks (static/data/overrides.json), by truck ID */
+    const overrides = overridesByTruck(loadOverrides(overridesIn), trucksData.redirects);
     let newTruckCount = 0;
+    /** IDs of trucks whose menu or description changed this run */
+    const menuUpdatedIds = new Set();
+    /** IDs of trucks whose cuisine or cuisine tags changed this run */
+    const cuisineUpdatedIds = new Set();
 
-    // 2. Calculate target dates (7 days from today)
-    const weekDates = getCurrentWeekDates();
+    // 2. Calculate target dates (the horizon from today, or --start/--days)
     console.log(`Target window: ${weekDates[0]} → ${weekDates[weekDates.length - 1]}\n`);
 
     // 3. Load existing schedule for incremental merge
-    const existingEntries = loadExistingSchedule(weekDates);
+    const { entries: existingEntries, sourceRuns: previousRuns } = loadExistingSchedule(scheduleIn, weekDates);
     console.log(`📂 Loaded ${existingEntries.length} existing entries within window\n`);
 
-    // 4. Run all scrapers with retry logic via Promise.allSettled
-    const venueEntries = Object.entries(VENUES);
+    // 4. Run all scrapers via Promise.allSettled, sharing one HTTP client so
+    //    per-host limits hold across venues on the same site. Replay needs no
+    //    politeness and has nothing to retry.
+    const http = createHttpClient(args.replay
+        ? { fetch: fetchPage, minDelay: 0, retries: 0, robots: false }
+        : { fetch: fetchPage });
+    // Live runs reuse cached pages; fixtures must see every page as fetched,
+    // and a dry run must not write (or prune) cache files
+    const listUrls = new Set(Object.values(VENUES).map(v => v.url));
+    const cache = args.cache && !args.record && !args.replay && !args.dryRun
+        ? createCachedFetch(http, {
+            dir: HTTP_CACHE_DIR,
+            ttlFor: url => (listUrls.has(url) ? HTTP_CACHE.listTtl : HTTP_CACHE.detailTtl),
+            maxAge: HTTP_CACHE.maxAge
+        })
+        : null;
+    const venueEntries = Object.entries(VENUES).filter(([venueId]) => !args.venues || args.venues.includes(venueId));
+    if (args.venues) console.log(`🎯 Scraping ${args.venues.join(', ')} only\n`);
     const scraperPromises = venueEntries.map(
-        ([venueId, config]) => runWithRetry(venueId, config, weekDates)
+        ([venueId, config]) => runScraper(venueId, config, weekDates, { fetch: cache?.fetch ?? http })
     );
 
     const results = await Promise.allSettled(scraperPromises);
@@ -165,112 +478,159 @@ async function main() {
         allRawEntries.push(...data.entries);
     }
 
+    // Venues a --venue run skipped keep their last recorded run
+    const reportedRuns = args.venues
+        ? [...sourceRuns, ...previousRuns.filter(r => !args.venues.includes(r.venue_id))]
+        : sourceRuns;
+
     // 6. Resolve truck_name_raw → truck_id
     const newScheduleEntries = [];
+    /** Names that created a truck or only matched an uncurated one, for curation */
+    const unmatchedSeen = [];
+    const unmatchedLog = loadUnmatched(unmatchedIn);
+    /** Curated name → truck ID table (the fixture's own when replaying) */
+    const aliases = loadAliases(aliasesIn);
+    /** Trucks created by earlier runs and not yet curated with aliases.js */
+    const uncuratedIds = new Set(unmatchedLog.names.map(n => n.truck_id));
 
     for (const raw of allRawEntries) {
-        const match = findMatch(raw.truck_name_raw, trucks);
+        const found = matchTruck(raw.truck_name_raw, trucks, aliases);
+        const match = found?.truck;
         const detailText = raw.detail_text || '';
 
         if (match) {
-            // If the matched truck has unknown cuisine and we have detail text,
-            // attempt to re-detect cuisine from the detail page content
-            if (match.cuisine === 'unknown' && detailText) {
-                const { cuisine, cuisine_label } = detectCuisine(match.name, detailText);
-                if (cuisine !== 'unknown') {
-                    match.cuisine = cuisine;
-                    match.cuisine_label = cuisine_label;
-                    console.log(`  ↻ Updated cuisine for ${match.id}: ${cuisine} (${cuisine_label})`);
-                }
+            const override = overrides.get(match.id);
+            if (applyMenu(match, unlockedDetails(raw, override))) menuUpdatedIds.add(match.id);
+            // Re-classify from the detail page content (fills an unknown
+            // cuisine, refreshes secondary tags)
+            if (detailText && !isLocked(override, 'cuisine') && applyCuisine(match, detailText)) {
+                cuisineUpdatedIds.add(match.id);
+                console.log(`  ↻ Updated cuisine for ${match.id}: ${[match.cuisine, ...(match.cuisine_tags || [])].join(', ')}`);
+            }
+            newScheduleEntries.push(toScheduleEntry(raw, match.id, found.rule, now));
+            if (isPlaceholderId(match.id) || uncuratedIds.has(match.id)) {
+                unmatchedSeen.push({ name: raw.truck_name_raw.trim(), truck_id: match.id, venue_id: raw.venue_id });
             }
-
-            newScheduleEntries.push({
-                date: raw.date,
-                venue_id: raw.venue_id,
-                truck_id: match.id
-            });
         } else {
             // New truck discovered — create placeholder
             const placeholder = createPlaceholder(raw.truck_name_raw, detailText);
 
-            // Avoid duplicate placeholder IDs
-            const existing = trucks.find(t => t.id === placeholder.id);
+            // Avoid duplicate placeholder IDs, and don't revive a merged-away one
+            const existingId = resolveTruckId(placeholder.id, trucksData.redirects);
+            const existing = trucks.find(t => t.id === existingId);
             if (existing) {
                 // ID collision with an existing truck that didn't name-match
-                // Also try to update cuisine if unknown
-                if (existing.cuisine === 'unknown' && detailText) {
-                    const { cuisine, cuisine_label } = detectCuisine(existing.name, detailText);
-                    if (cuisine !== 'unknown') {
-                        existing.cuisine = cuisine;
-                        existing.cuisine_label = cuisine_label;
-                        console.log(`  ↻ Updated cuisine for ${existing.id}: ${cuisine} (${cuisine_label})`);
-                    }
+                const override = overrides.get(existing.id);
+                if (applyMenu(existing, unlockedDetails(raw, override))) menuUpdatedIds.add(existing.id);
+                if (detailText && !isLocked(override, 'cuisine') && applyCuisine(existing, detailText)) {
+                    cuisineUpdatedIds.add(existing.id);
+                    console.log(`  ↻ Updated cuisine for ${existing.id}: ${[existing.cuisine, ...(existing.cuisine_tags || [])].join(', ')}`);
                 }
-                newScheduleEntries.push({
-                    date: raw.date,
-                    venue_id: raw.venue_id,
-                    truck_id: existing.id
-                });
+                newScheduleEntries.push(toScheduleEntry(raw, existing.id, existing.id === placeholder.id ? 'id' : 'redirect', now));
+                unmatchedSeen.push({ name: raw.truck_name_raw.trim(), truck_id: existing.id, venue_id: raw.venue_id });
             } else {
+                applyMenu(placeholder, raw);
                 trucks.push(placeholder);
+                newTruckIds.push(placeholder.id);
                 newTruckCount++;
                 console.log(`⚠ New truck: ${placeholder.id} (${raw.truck_name_raw}) — ${placeholder.cuisine} (${placeholder.cuisine_label})`);
-                newScheduleEntries.push({
-                    date: raw.date,
-                    venue_id: raw.venue_id,
-                    truck_id: placeholder.id
-                });
+                newScheduleEntries.push(toScheduleEntry(raw, placeholder.id, 'new', now));
+                unmatchedSeen.push({ name: raw.truck_name_raw.trim(), truck_id: placeholder.id, venue_id: raw.venue_id });
             }
         }
     }
 
-    // 7. MERGE: combine existing + new entries, deduplicate
-    const merged = [...existingEntries, ...newScheduleEntries];
-    const seen = new Set();
-    const dedupedSchedule = merged.filter(e => {
-        const key = `${e.date}|${e.venue_id}|${e.truck_id}`;
-        if (seen.has(key)) return false;
-        seen.add(key);
-        return true;
-    });
+    // Curated overrides go on top of whatever matching and detection decided
+    const overriddenIds = applyOverrides(trucks, overrides);
+    if (overriddenIds.length > 0) console.log(`  📌 Overrides applied to ${overriddenIds.join(', ')}`);
 
-    const netNew = dedupedSchedule.length - existingEntries.length;
+    // 7. MERGE: each successful venue scrape replaces its covered dates;
+    //    entries it dropped are marked cancelled, failed venues carry over
+    const coverage = scrapeCoverage(sourceRuns, allRawEntries, weekDates);
+    const { schedule: dedupedSchedule, cancelled: cancelledCount } =
+        mergeSchedule(existingEntries, newScheduleEntries, coverage, now);
+    /** Entries still expected to happen */
+    const activeSchedule = dedupedSchedule.filter(e => !e.cancelled);
 
-    // 8. Write updated trucks.json if new trucks were discovered or cuisines updated
-    const cuisineUpdated = trucks.some((t, i) => {
-        const orig = trucksData.trucks[i];
-        return orig && orig.cuisine !== t.cuisine;
-    });
+    const netNew = activeSchedule.length - existingEntries.filter(e => !e.cancelled).length;
 
-    if (newTruckCount > 0 || cuisineUpdated) {
+    // 8. Write updated trucks.json if new trucks were discovered, cuisines or
+    //    menus updated, overrides changed something, or the file predates
+    //    the current schema_version
+    const cuisineUpdated = cuisineUpdatedIds.size > 0;
+    const schemaOutdated = trucksData.schema_version !== SCHEMA_VERSION;
+
+    if (newTruckCount > 0 || cuisineUpdated || menuUpdatedIds.size > 0 || overriddenIds.length > 0 || schemaOutdated) {
         trucksData.trucks = trucks;
-        trucksData.last_updated = new Date().toISOString().slice(0, 10);
-        writeFileSync(TRUCKS_PATH, JSON.stringify(trucksData, null, 2) + '\n', 'utf-8');
-        console.log(`\n📝 trucks.json updated: ${newTruckCount} new truck(s) added${cuisineUpdated ? ', cuisine(s) updated' : ''}`);
+        trucksData.last_updated = now.toISOString().slice(0, 10);
+        trucksData.schema_version = SCHEMA_VERSION;
+        // schema_version leads the file, as in schedule.json
+        if (!args.dryRun) writeFileSync(trucksOut, JSON.stringify({ schema_version: SCHEMA_VERSION, ...trucksData }, null, 2) + '\n', 'utf-8');
+        console.log(`\n📝 trucks.json ${args.dryRun ? 'would be updated' : 'updated'}: ${newTruckCount} new truck(s) added${cuisineUpdated ? ', cuisine(s) updated' : ''}${menuUpdatedIds.size > 0 ? `, ${menuUpdatedIds.size} menu(s) updated` : ''}${overriddenIds.length > 0 ? `, ${overriddenIds.length} override(s) applied` : ''}${schemaOutdated ? `, upgraded to schema v${SCHEMA_VERSION}` : ''}`);
+    } else if (trucksOut !== trucksIn && !args.dryRun) {
+        // Replay and --out output must be complete even when trucks are unchanged
+        copyFileSync(trucksIn, trucksOut);
     }
 
     // 9. Build data quality stats
-    const dataQuality = buildDataQuality(dedupedSchedule, weekDates);
+    const dataQuality = buildDataQuality(activeSchedule, weekDates);
 
     // 10. Write schedule.json (merged)
-    const now = new Date();
     const scheduleOutput = {
+        schema_version: SCHEMA_VERSION,
         last_updated: now.toISOString(),
         week_start: weekDates[0],
         week_end: weekDates[weekDates.length - 1],
-        source_runs: sourceRuns,
+        source_runs: reportedRuns,
         data_quality: dataQuality,
         schedule: dedupedSchedule
     };
 
-    writeFileSync(SCHEDULE_PATH, JSON.stringify(scheduleOutput, null, 2) + '\n', 'utf-8');
+    if (!args.dryRun) writeFileSync(scheduleOut, JSON.stringify(scheduleOutput, null, 2) + '\n', 'utf-8');
+
+    // 11. Fold the lineup into the durable monthly history archive
+    //     Past days are frozen: a --start window reaching back only archives
+    //     from today on, never rebuilding history from an empty lineup
+    const today = formatDateISO(now);
+    const liveDates = weekDates.filter(d => d >= today);
+    const archived = archiveSchedule(activeSchedule, liveDates, now, historyDir, { dryRun: args.dryRun });
+
+    // 12. Log unmatched names for `node scripts/aliases.js list`
+    const newUnmatched = recordUnmatched(unmatchedLog, unmatchedSeen, now);
+    if (!args.dryRun) saveUnmatched(unmatchedLog, unmatchedOut);
+
+    // 13. Lineup diff against the previous schedule.json, for the data commit and job summary
+    const lineupDiff = buildLineupDiff({
+        before: existingEntries.filter(e => !e.cancelled),
+        after: activeSchedule,
+        weekDates,
+        venues: trucksData.venues,
+        trucks,
+        newTruckIds,
+        cuisinesBefore,
+        now
+    });
+    const reportPaths = args.dryRun ? null : writeLineupDiff(lineupDiff, trucksData.venues, reportDir);
+    if (args.dryRun) console.log(`\n${renderLineupDiff(lineupDiff, trucksData.venues)}`);
 
-    // 11. Summary
+    // 14. Summary
     console.log('\n====================================');
-    console.log(`✓ ${dedupedSchedule.length} total schedule entries (${netNew >= 0 ? '+' : ''}${netNew} net change)`);
+    console.log(`✓ ${activeSchedule.length} active schedule entries (${netNew >= 0 ? '+' : ''}${netNew} net change)`);
     console.log(`  ${existingEntries.length} carried over from previous run`);
     console.log(`  ${newScheduleEntries.length} freshly scraped`);
+    console.log(`  ${cancelledCount} newly cancelled (dropped by their venue), ${dedupedSchedule.length - activeSchedule.length} cancelled in total`);
     console.log(`  ${newTruckCount} new truck(s) discovered`);
+    console.log(`  History: +${archived.added} / -${archived.removed} entries in ${archived.months.join(', ') || 'no months'}`);
+    if (unmatchedSeen.length > 0) {
+        console.log(`  ${new Set(unmatchedSeen.map(u => u.name)).size} unmatched name(s) (${newUnmatched} new) — review with: node scripts/aliases.js list`);
+    }
+    const { summary } = lineupDiff;
+    console.log(`  Lineup: +${summary.added} / -${summary.removed}, ${summary.cuisine_changes} cuisine change(s)${reportPaths ? ` — ${reportPaths.markdown}` : ''}`);
+    if (cache) {
+        const pruned = cache.prune();
+        const { fresh, revalidated, fetched } = cache.stats;
+        console.log(`  HTTP cache: ${fresh} fresh, ${revalidated} revalidated (304), ${fetched} fetched${pruned > 0 ? `, ${pruned} stale entr${pruned === 1 ? 'y' : 'ies'} pruned` : ''}`);
+    }
 
     // Coverage report
     const weekdays = weekDates.filter(d => {
@@ -278,7 +638,7 @@ async function main() {
         return day >= 1 && day <= 5;
     });
     for (const wd of weekdays) {
-        const count = dedupedSchedule.filter(e => e.date === wd).length;
+        const count = activeSchedule.filter(e => e.date === wd).length;
         const icon = count > 0 ? '✓' : '⚠';
         console.log(`  ${icon} ${wd}: ${count} entries`);
     }
@@ -292,6 +652,56 @@ async function main() {
         console.log(`  ${icon} ${run.venue_id}: ${run.entries_count} entries`);
     }
     console.log('');
+
+    // 15. Fixture bookkeeping
+    if (recorder) {
+        const pageCount = recorder.save();
+        snapshotFiles([TRUCKS_PATH, SCHEDULE_PATH], fixturePaths(args.record).expected);
+        console.log(`📼 Recorded ${pageCount} page(s) and golden output to ${args.record}\n`);
+    }
+
+    if (args.replay) {
+        const fixture = fixturePaths(args.replay);
+        const diffs = ['schedule.json', 'trucks.json'].flatMap(file =>
+            compareWithGolden(join(fixture.expected, file), join(fixture.actual, file))
+                .map(d => `${file} ${d}`)
+        );
+        if (diffs.length > 0) {
+            console.log(`✗ Replay output differs from golden files (${diffs.length} difference(s)):`);
+            for (const d of diffs) console.log(`  ${d}`);
+            console.log('');
+            process.exitCode = 1;
+        } else {
+            console.log('✓ Replay output matches golden files\n');
+        }
+    }
+
+    // 16. Machine-readable summary
+    if (args.json) {
+        const jsonSummary = {
+            generated_at: now.toISOString(),
+            window: { start: weekDates[0], end: weekDates[weekDates.length - 1] },
+            dry_run: args.dryRun,
+            venues: venueEntries.map(([venueId]) => venueId),
+            source_runs: sourceRuns,
+            data_quality: dataQuality,
+            counts: {
+                active: activeSchedule.length,
+                net_change: netNew,
+                carried_over: existingEntries.length,
+                freshly_scraped: newScheduleEntries.length,
+                newly_cancelled: cancelledCount,
+                new_trucks: newTruckCount
+            },
+            lineup: lineupDiff.summary,
+            outputs: args.dryRun ? null : {
+                schedule: scheduleOut,
+                trucks: trucksOut,
+                lineup_diff: reportPaths?.json ?? null
+            }
+        };
+        process.stdout.write(JSON.stringify(jsonSummary, null, 2) + '\n');
+    }
 }
 
 main().catch(err => {
@@ -0,0 +1,266 @@
+/**
+ * Declarative scraper driven by a `spec` object in the venue config.
+ * Lets a venue with a simple lineup page be added with config instead of code.
+ *
+ * Selectors use cheerio syntax. Where a value is read (vendor names, tab
+ * labels, detail text), a trailing `@attr` reads that attribute instead of the
+ * text, and a bare `@attr` reads it from the current element itself:
+ *   'h2'                                      → text of the first <h2>
+ *   'img@alt'                                 → alt of the first <img>
+ *   'meta[property="og:description"]@content'
+ *
+ * Spec fields:
+ *   dates      'tabs' | 'weekday-headings' | 'recurring'
+ *   item       Selector for one vendor entry (within a panel/list, or page-wide)
+ *   vendor     Selector (or list of selectors, first non-empty wins) for the
+ *              name inside an item. Omitted/empty → the item's own first text line.
+ *   skip       RegExp[] — names matching any pattern are ignored (section headers)
+ *   clean      RegExp — characters removed from names (e.g. 「」 brackets)
+ *   href       RegExp — when set, only items whose href matches are kept
+ *   times      Selector for an item's service time range ("11:00〜14:00").
+ *              Omitted → the item's own text is searched; no match → no times.
+ *
+ *   dates: 'tabs' — date tabs with panels in the same order
+ *     tabs     Selector for tab labels containing "MM/DD"
+ *     panels   Selector for panels, 1:1 with tabs
+ *
+ *   dates: 'weekday-headings' — one heading per weekday ("月曜日monday")
+ *     headings Selector for the day headings (text must contain "X曜")
+ *     list     Selector for the first following sibling holding that day's items
+ *
+ *   dates: 'recurring' — each item states its own "毎週X曜日" pattern
+ *
+ *   detail     Optional detail-page extraction, fetched once per unique href:
+ *     base     Origin to resolve relative hrefs against
+ *     text     Selectors whose values are joined into detail_text
+ *     strip    RegExp[] removed from every detail_text value (e.g. prices)
+ *     exclude  RegExp[] — values matching any pattern are dropped
+ *     menu     Selector for menu lines ("ガパオライス 900円") → truck menu items
+ *     description  Selector (or list, first non-empty wins) → truck description
+ */
+
+import * as cheerio from 'cheerio';
+import { parseJapaneseDate, jpDayToDate, parseRecurring, expandRecurring, inferYear, parseTimeRange } from '../lib/dates.js';
+import { buildMenu, cleanDescription } from '../lib/menu.js';
+import { httpFetch } from '../lib/http.js';
+
+/**
+ * Read a value from an element using the `selector@attr` notation.
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {import('cheerio').Cheerio<any>} $ctx - Element to search within
+ * @param {string} selector
+ * @returns {string[]} Trimmed, non-empty values of every match
+ */
+function readValues($, $ctx, selector) {
+    const at = selector.lastIndexOf('@');
+    const css = at === -1 ? selector : selector.slice(0, at).trim();
+    const attr = at === -1 ? null : selector.slice(at + 1);
+
+    const $targets = css ? $ctx.find(css) : $ctx;
+    const values = [];
+    $targets.each((_, el) => {
+        const value = attr ? $(el).attr(attr) : $(el).text();
+        if (value && value.trim()) values.push(value.trim());
+    });
+    return values;
+}
+
+/**
+ * Extract a vendor name from an item element.
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {import('cheerio').Cheerio<any>} $item
+ * @param {Object} spec
+ * @returns {string} Cleaned name, or '' if the item should be ignored
+ */
+function extractName($, $item, spec) {
+    const candidates = [spec.vendor || []].flat();
+    let name = '';
+    for (const selector of candidates) {
+        name = readValues($, $item, selector)[0] || '';
+        if (name) break;
+    }
+    if (!name) {
+        name = $item.text().trim().split('\n')[0].trim();
+    }
+
+    if (spec.clean) name = name.replace(spec.clean, '').trim();
+    if (!name || name.length >= 100) return '';
+    if ((spec.skip || []).some(p => p.test(name))) return '';
+    return name;
+}
+
+/**
+ * Collect {date, name, href} tuples for every item on the page, per date mode.
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {Object} spec
+ * @param {string[]} weekDates
+ * @returns {Array<{date: string, $item: import('cheerio').Cheerio<any>}>}
+ */
+function collectItems($, spec, weekDates) {
+    const found = [];
+
+    if (spec.dates === 'tabs') {
+        const tabDates = $(spec.tabs).toArray().map(el => {
+            const m = $(el).text().match(/(\d{1,2})\/(\d{1,2})/);
+            if (!m) return null;
+            return parseJapaneseDate(`${m[1]}/${m[2]}`, inferYear(Number(m[1]), weekDates));
+        });
+        $(spec.panels).each((panelIndex, panel) => {
+            const date = tabDates[panelIndex];
+            if (!date) return;
+            $(panel).find(spec.item).each((_, el) => {
+                found.push({ date, $item: $(el) });
+            });
+        });
+    } else if (spec.dates === 'weekday-headings') {
+        $(spec.headings).each((_, el) => {
+            const m = $(el).text().match(/([日月火水木金土])曜/);
+            if (!m) return;
+            const date = jpDayToDate(m[1], weekDates);
+            if (!date) return;
+            const $list = $(el).nextAll(spec.list).first();
+            $list.find(spec.item).each((_, item) => {
+                found.push({ date, $item: $(item) });
+            });
+        });
+    } else if (spec.dates === 'recurring') {
+        $(spec.item).each((_, el) => {
+            const m = $(el).text().match(/毎週([日月火水木金土])曜/);
+            if (!m) return;
+            const dayIndex = parseRecurring(`毎週${m[1]}曜日`);
+            if (dayIndex === null) return;
+            for (const date of expandRecurring(dayIndex, weekDates)) {
+                found.push({ date, $item: $(el) });
+            }
+        });
+    } else {
+        throw new Error(`Unknown date mode in spec: ${spec.dates}`);
+    }
+
+    return found;
+}
+
+/**
+ * Fetch a detail page and extract its text, menu and description per the
+ * detail spec.
+ * @param {string} url
+ * @param {Object} detail - spec.detail
+ * @param {typeof fetch} fetchPage
+ * @returns {Promise<{text: string, menu: Array<{name: string, price?: number}>, description: string}>}
+ */
+async function fetchDetail(url, detail, fetchPage) {
+    const empty = { text: '', menu: [], description: '' };
+    try {
+        const res = await fetchPage(url);
+        if (!res.ok) return empty;
+
+        const $ = cheerio.load(await res.text());
+        const isExcluded = value => (detail.exclude || []).some(p => p.test(value));
+
+        const parts = [];
+        for (const selector of detail.text || []) {
+            for (let value of readValues($, $.root(), selector)) {
+                for (const p of detail.strip || []) value = value.replace(p, '');
+                value = value.trim();
+                if (!value || isExcluded(value)) continue;
+                parts.push(value);
+            }
+        }
+
+        const menuLines = detail.menu
+            ? readValues($, $.root(), detail.menu).filter(v => !isExcluded(v))
+            : [];
+
+        let description = '';
+        for (const selector of [detail.description || []].flat()) {
+            description = readValues($, $.root(), selector)[0] || '';
+            if (description) break;
+        }
+
+        return {
+            text: parts.join(' '),
+            menu: buildMenu(menuLines),
+            description: cleanDescription(description)
+        };
+    } catch (err) {
+        console.warn(`  ⚠ Failed to fetch detail page ${url}: ${err.message}`);
+        return empty;
+    }
+}
+
+/**
+ * Scrape a venue page described by `config.spec`.
+ * @param {Object} config - Venue config from config.js (must include `spec`)
+ * @param {string[]} weekDates - ISO dates for the target window
+ * @param {{fetch?: typeof fetch}} [context] - Run context (fixture record/replay swaps `fetch`)
+ * @returns {Promise<Array<{date: string, venue_id: string, truck_name_raw: string, detail_text?: string, menu?: Array<{name: string, price?: number}>, description?: string, start?: string, end?: string}>>}
+ */
+export async function scrape(config, weekDates, context = {}) {
+    const { spec } = config;
+    if (!spec) throw new Error(`Venue ${config.id} uses the generic parser but has no spec`);
+
+    const fetchPage = context.fetch || httpFetch;
+    const res = await fetchPage(config.url);
+    if (!res.ok) {
+        throw new Error(`${config.id} fetch failed: ${res.status} ${res.statusText}`);
+    }
+
+    const $ = cheerio.load(await res.text());
+    const targetDates = new Set(weekDates);
+
+    // Phase 1: Resolve every item to (date, name, detail URL), deduplicated per date
+    const rawEntries = [];
+    const seen = new Set();
+    for (const { date, $item } of collectItems($, spec, weekDates)) {
+        if (!targetDates.has(date)) continue;
+
+        const href = $item.attr('href') || '';
+        if (spec.href && !spec.href.test(href)) continue;
+
+        const name = extractName($, $item, spec);
+        if (!name) continue;
+
+        const key = `${date}|${name}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const detailUrl = spec.detail && href
+            ? new URL(href, spec.detail.base || config.url).href
+            : null;
+        const timeText = spec.times ? readValues($, $item, spec.times).join(' ') : $item.text();
+        const times = parseTimeRange(timeText);
+        rawEntries.push({ date, truck_name_raw: name, detailUrl, ...times });
+    }
+
+    // Phase 2: Fetch unique detail pages (the HTTP client paces them per host)
+    const detailMap = new Map();
+    if (spec.detail) {
+        const urls = [...new Set(rawEntries.map(e => e.detailUrl).filter(Boolean))];
+        console.log(`  → Fetching ${urls.length} detail pages for ${config.id}...`);
+        const details = await Promise.all(urls.map(url => fetchDetail(url, spec.detail, fetchPage)));
+        urls.forEach((url, i) => detailMap.set(url, details[i]));
+    }
+
+    const entries = rawEntries.map(raw => {
+        const detail = detailMap.get(raw.detailUrl);
+        return {
+            date: raw.date,
+            venue_id: config.id,
+            truck_name_raw: raw.truck_name_raw,
+            ...(spec.detail ? { detail_text: detail?.text || '' } : {}),
+            ...(detail?.menu.length ? { menu: detail.menu } : {}),
+            ...(detail?.description ? { description: detail.description } : {}),
+            ...(raw.start ? { start: raw.start, end: raw.end } : {})
+        };
+    });
+
+    // Sanity check
+    if (entries.length === 0) {
+        console.warn(`⚠ Generic scraper (${config.id}): 0 entries found. Site structure may have changed.`);
+    } else {
+        const days = new Set(entries.map(e => e.date));
+        console.log(`✓ ${config.id}: ${entries.length} entries scraped across ${days.size} days`);
+    }
+
+    return entries;
+}
@@ -8,7 +8,7 @@
  *       - Day pattern text like "毎週月曜日"
  *       - Shop name
  *       - Menu description
- *       - Time range
+ *       - Time range (kept as the entry's start/end service times)
  *       - Next date info
  *   - Also has single-date event entries with specific dates
  *
@@ -23,8 +23,9 @@
  */
 
 import * as cheerio from 'cheerio';
-import { parseRecurring, expandRecurring } from '../lib/dates.js';
-import { FETCH_OPTIONS } from '../config.js';
+import { parseRecurring, expandRecurring, inferYear, parseTimeRange } from '../lib/dates.js';
+import { parsePrice, buildMenu, cleanDescription } from '../lib/menu.js';
+import { httpFetch } from '../lib/http.js';
 
 const BASE_URL = 'https://www.mellow.jp';
 
@@ -55,15 +56,19 @@ function extractShopName($el, $) {
 }
 
 /**
- * Fetch a shop detail page and extract cuisine-related text.
+ * Fetch a shop detail page and extract cuisine-related text, plus the menu
+ * and shop description.
  * @param {string} shopPath - e.g. "/ss_web/shops/pMSZjb"
- * @returns {Promise<string>} Combined text for cuisine detection
+ * @param {typeof fetch} fetchPage - fetch implementation from the run context
+ * @returns {Promise<{text: string, menu: Array<{name: string, price?: number}>, description: string}>}
+ *   text is the combined text for cuisine detection
  */
-async function fetchShopDetail(shopPath) {
+async function fetchShopDetail(shopPath, fetchPage) {
+    const empty = { text: '', menu: [], description: '' };
     try {
         const url = shopPath.startsWith('http') ? shopPath : `${BASE_URL}${shopPath}`;
-        const res = await fetch(url, FETCH_OPTIONS);
-        if (!res.ok) return '';
+        const res = await fetchPage(url);
+        if (!res.ok) return empty;
 
         const html = await res.text();
         const $ = cheerio.load(html);
@@ -77,14 +82,22 @@ async function fetchShopDetail(shopPath) {
         textParts.push($('h2').text());
 
         // Description text
+        const paragraphs = [];
         $('p').each((_, el) => {
             const t = $(el).text().trim();
-            if (t.length > 10 && t.length < 500) textParts.push(t);
+            if (t.length > 10 && t.length < 500) paragraphs.push(t);
         });
+        textParts.push(...paragraphs);
 
-        // Menu item names
+        // Menu item names, each with the price from its own block when shown
+        const menuLines = [];
         $('h3, h4').each((_, el) => {
-            textParts.push($(el).text().trim());
+            const name = $(el).text().trim();
+            textParts.push(name);
+            if (!name || /^(メニュー|menu)$/i.test(name)) return;
+            const block = $(el).parent().text().replace(/\s+/g, ' ');
+            const price = parsePrice(block.length < 100 ? block : $(el).next().text());
+            menuLines.push(price ? `${name} ${price}円` : name);
         });
 
         // Genre/category labels - look for list items, badges, tags
@@ -93,10 +106,16 @@ async function fetchShopDetail(shopPath) {
             if (t.length > 2 && t.length < 60) textParts.push(t);
         });
 
-        return textParts.join(' ');
+        const description = $('meta[property="og:description"]').attr('content') || paragraphs[0] || '';
+
+        return {
+            text: textParts.join(' '),
+            menu: buildMenu(menuLines),
+            description: cleanDescription(description)
+        };
     } catch (err) {
         console.warn(`  ⚠ Could not fetch shop detail ${shopPath}: ${err.message}`);
-        return '';
+        return empty;
     }
 }
 
@@ -104,10 +123,12 @@ async function fetchShopDetail(shopPath) {
  * Scrape a SHOP STOP market schedule page.
  * @param {Object} config - Venue config from config.js
  * @param {string[]} weekDates - Mon-Fri ISO dates for target week
- * @returns {Promise<Array<{date: string, venue_id: string, truck_name_raw: string, shop_path?: string, detail_text?: string}>>}
+ * @param {{fetch?: typeof fetch}} [context] - Run context (fixture record/replay swaps `fetch`)
+ * @returns {Promise<Array<{date: string, venue_id: string, truck_name_raw: string, detail_text?: string, menu?: Array<{name: string, price?: number}>, description?: string, start?: string, end?: string}>>}
  */
-export async function scrape(config, weekDates) {
-    const res = await fetch(config.url, FETCH_OPTIONS);
+export async function scrape(config, weekDates, context = {}) {
+    const fetchPage = context.fetch || httpFetch;
+    const res = await fetchPage(config.url);
     if (!res.ok) {
         throw new Error(`Mellow fetch failed for ${config.id}: ${res.status} ${res.statusText}`);
     }
@@ -135,6 +156,9 @@ export async function scrape(config, weekDates) {
         // Extract shop path for detail fetching
         const shopPath = href.startsWith('/') ? href : `/${href}`;
 
+        // Per-truck service times ("11:00〜14:00"), when the card lists them
+        const times = parseTimeRange(fullText);
+
         // Determine the date(s) for this entry
 
         // Check for recurring pattern: "毎週X曜日"
@@ -148,7 +172,8 @@ export async function scrape(config, weekDates) {
                         date,
                         venue_id: config.id,
                         truck_name_raw: rawName,
-                        shop_path: shopPath
+                        shop_path: shopPath,
+                        ...times
                     });
                 }
                 return;
@@ -167,7 +192,8 @@ export async function scrape(config, weekDates) {
                     date: parsed,
                     venue_id: config.id,
                     truck_name_raw: rawName,
-                    shop_path: shopPath
+                    shop_path: shopPath,
+                    ...times
                 });
             }
             return;
@@ -176,7 +202,7 @@ export async function scrape(config, weekDates) {
         // Check for "M/D" date format (without year)
         const shortDateMatch = fullText.match(/^(\d{1,2})\/(\d{1,2})/);
         if (shortDateMatch) {
-            const year = new Date().getFullYear();
+            const year = inferYear(Number(shortDateMatch[1]), weekDates);
             const m = shortDateMatch[1].padStart(2, '0');
             const d = shortDateMatch[2].padStart(2, '0');
             const parsed = `${year}-${m}-${d}`;
@@ -185,7 +211,8 @@ export async function scrape(config, weekDates) {
                     date: parsed,
                     venue_id: config.id,
                     truck_name_raw: rawName,
-                    shop_path: shopPath
+                    shop_path: shopPath,
+                    ...times
                 });
             }
             return;
@@ -194,7 +221,7 @@ export async function scrape(config, weekDates) {
         // Check for "次回出店 X月Y日"
         const nextMatch = fullText.match(/次回出店\s*(\d{1,2})月(\d{1,2})日/);
         if (nextMatch) {
-            const year = new Date().getFullYear();
+            const year = inferYear(Number(nextMatch[1]), weekDates);
             const month = nextMatch[1].padStart(2, '0');
             const day = nextMatch[2].padStart(2, '0');
             const parsed = `${year}-${month}-${day}`;
@@ -203,7 +230,8 @@ export async function scrape(config, weekDates) {
                     date: parsed,
                     venue_id: config.id,
                     truck_name_raw: rawName,
-                    shop_path: shopPath
+                    shop_path: shopPath,
+                    ...times
                 });
             }
         }
@@ -224,36 +252,26 @@ export async function scrape(config, weekDates) {
     const shopDetails = new Map();
 
     if (shopPaths.length > 0) {
-        console.log(`  → Fetching ${shopPaths.length} shop detail pages for cuisine detection...`);
-
-        // Fetch in batches of 5
-        for (let i = 0; i < shopPaths.length; i += 5) {
-            const batch = shopPaths.slice(i, i + 5);
-            const results = await Promise.allSettled(
-                batch.map(async (path) => {
-                    const detail = await fetchShopDetail(path);
-                    return { path, detail };
-                })
-            );
-            for (const r of results) {
-                if (r.status === 'fulfilled') {
-                    shopDetails.set(r.value.path, r.value.detail);
-                }
-            }
-            // Small delay between batches
-            if (i + 5 < shopPaths.length) {
-                await new Promise(r => setTimeout(r, 300));
-            }
-        }
+        console.log(`  → Fetching ${shopPaths.length} shop detail pages for cuisine and menus...`);
+
+        // The HTTP client caps concurrency and spaces requests to mellow.jp
+        const details = await Promise.all(shopPaths.map(path => fetchShopDetail(path, fetchPage)));
+        shopPaths.forEach((path, i) => shopDetails.set(path, details[i]));
     }
 
-    // Attach detail_text to entries
-    const entries = deduped.map(e => ({
-        date: e.date,
-        venue_id: e.venue_id,
-        truck_name_raw: e.truck_name_raw,
-        detail_text: shopDetails.get(e.shop_path) || ''
-    }));
+    // Attach detail_text, menu and description to entries
+    const entries = deduped.map(e => {
+        const detail = shopDetails.get(e.shop_path);
+        return {
+            date: e.date,
+            venue_id: e.venue_id,
+            truck_name_raw: e.truck_name_raw,
+            detail_text: detail?.text || '',
+            ...(detail?.menu.length ? { menu: detail.menu } : {}),
+            ...(detail?.description ? { description: detail.description } : {}),
+            ...(e.start ? { start: e.start, end: e.end } : {})
+        };
+    });
 
     if (entries.length === 0) {
         console.warn(`⚠ Mellow scraper (${config.id}): 0 entries found. Site structure may have changed.`);
@@ -2,13 +2,22 @@
 
 /**
  * Post-scrape validation script.
- * Ensures the scraped data is valid before committing.
+ * Ensures the scraped data is valid before committing: trucks.json and
+ * schedule.json against their JSON Schemas (static/data/schema/), then the
+ * cross-file and sanity checks a schema can't express.
  * Exits with code 1 if validation fails (blocks git commit in CI).
  */
 
 import { readFileSync } from 'node:fs';
 import { join } from 'node:path';
-import { DATA_DIR } from './lib/paths.js';
+import { DATA_DIR, TYPES_PATH } from './lib/paths.js';
+import { listHistoryMonths, loadHistoryMonth, historyKey } from './lib/history.js';
+import { loadAliases } from './lib/aliases.js';
+import { LOW_CONFIDENCE } from './lib/normalize.js';
+import { loadOverrides, OVERRIDE_FIELDS, LOCKABLE_FIELDS } from './lib/overrides.js';
+import { CUISINE_MAP } from '../src/lib/cuisine.js';
+import { resolveTruckId } from '../src/lib/data.js';
+import { createDataValidator, loadSchema, parseTypedefs, checkTypedefs, SCHEMA_NAMES, SCHEMA_VERSION } from './lib/schema.js';
 
 const errors = [];
 const warnings = [];
@@ -16,37 +25,48 @@ const warnings = [];
 function fail(msg) { errors.push(`❌ ${msg}`); }
 function warn(msg) { warnings.push(`⚠ ${msg}`); }
 
+/** Schema violations listed per file before the rest are only counted */
+const MAX_SCHEMA_ERRORS = 10;
+
+/**
+ * Check a data file against its JSON Schema, one failure per violation.
+ * @param {ReturnType<typeof createDataValidator>} validate
+ * @param {import('./lib/schema.js').SchemaName} name
+ * @param {unknown} data
+ */
+function checkSchema(validate, name, data) {
+    const violations = validate(name, data);
+    for (const { path, message } of violations.slice(0, MAX_SCHEMA_ERRORS)) {
+        fail(`${name}.json ${path}: ${message}`);
+    }
+    if (violations.length > MAX_SCHEMA_ERRORS) {
+        fail(`${name}.json: ${violations.length - MAX_SCHEMA_ERRORS} more schema violation(s)`);
+    }
+}
+
 try {
+    const validate = createDataValidator();
+
     // 1. Validate schedule.json
     const schedule = JSON.parse(readFileSync(join(DATA_DIR, 'schedule.json'), 'utf-8'));
+    checkSchema(validate, 'schedule', schedule);
 
-    if (!schedule.last_updated) fail('schedule.json missing last_updated');
-    if (!schedule.schedule || !Array.isArray(schedule.schedule)) {
-        fail('schedule.json missing schedule array');
-    } else {
+    if (Array.isArray(schedule.schedule)) {
         if (schedule.schedule.length === 0) {
             warn('schedule.json has 0 entries — all scrapers may have failed');
         }
 
-        // Check for required fields in each entry
-        for (const entry of schedule.schedule) {
-            if (!entry.date || !entry.venue_id || !entry.truck_id) {
-                fail(`Invalid schedule entry: ${JSON.stringify(entry)}`);
-                break; // One example is enough
-            }
-        }
+        // Service times the schema can't order: a truck can't close before it opens
+        const reversed = schedule.schedule.find(e => e.start && e.end && e.start >= e.end);
+        if (reversed) fail(`Invalid service times: ${JSON.stringify(reversed)}`);
 
-        // Check date validity
-        const dates = new Set(schedule.schedule.map(e => e.date));
-        for (const d of dates) {
-            if (!/^\d{4}-\d{2}-\d{2}$/.test(d)) {
-                fail(`Invalid date format: ${d}`);
-            }
-        }
+        // An entry can't be last seen before it was first seen
+        const unseen = schedule.schedule.find(e => e.first_seen && e.last_seen && Date.parse(e.first_seen) > Date.parse(e.last_seen));
+        if (unseen) fail(`Invalid schedule entry timestamps: ${JSON.stringify(unseen)}`);
     }
 
     // Check source_runs
-    if (schedule.source_runs) {
+    if (Array.isArray(schedule.source_runs)) {
         const failed = schedule.source_runs.filter(r => r.status === 'error');
         if (failed.length > 0) {
             for (const f of failed) {
@@ -61,16 +81,10 @@ try {
 
     // 2. Validate trucks.json
     const trucks = JSON.parse(readFileSync(join(DATA_DIR, 'trucks.json'), 'utf-8'));
+    checkSchema(validate, 'trucks', trucks);
 
-    if (!trucks.venues || !Array.isArray(trucks.venues)) {
-        fail('trucks.json missing venues array');
-    } else {
+    if (Array.isArray(trucks.venues)) {
         for (const v of trucks.venues) {
-            if (!v.id || !v.name) fail(`Venue missing id or name: ${JSON.stringify(v)}`);
-            if (!v.lat || !v.lng) fail(`Venue ${v.id} missing coordinates`);
-            if (typeof v.lat !== 'number' || typeof v.lng !== 'number') {
-                fail(`Venue ${v.id} has non-numeric coordinates`);
-            }
             // Sanity check: should be near Tokyo (35.6-35.8, 139.6-139.9)
             if (v.lat < 35.5 || v.lat > 36.0 || v.lng < 139.5 || v.lng > 140.0) {
                 fail(`Venue ${v.id} coordinates out of Tokyo bounds: ${v.lat}, ${v.lng}`);
@@ -78,25 +92,36 @@ try {
         }
     }
 
-    if (!trucks.trucks || !Array.isArray(trucks.trucks)) {
-        fail('trucks.json missing trucks array');
-    } else {
+    if (Array.isArray(trucks.trucks)) {
         const ids = new Set();
         for (const t of trucks.trucks) {
-            if (!t.id || !t.name) fail(`Truck missing id or name`);
             if (ids.has(t.id)) warn(`Duplicate truck id: ${t.id}`);
             ids.add(t.id);
         }
 
+        // Redirects (left by merge-trucks.js) map retired IDs to live ones; a
+        // live ID can't also redirect, or its page and redirect would collide
+        for (const [from, to] of Object.entries(trucks.redirects || {})) {
+            if (ids.has(from)) fail(`Redirect from ${from} shadows a live truck`);
+            if (!ids.has(resolveTruckId(from, trucks.redirects))) fail(`Redirect from ${from} leads to unknown truck ${to}`);
+        }
+
         // Cuisine coverage check
         const unknowns = trucks.trucks.filter(t => t.cuisine === 'unknown');
         if (unknowns.length > 5) {
             warn(`${unknowns.length} trucks have unknown cuisine`);
         }
+
+        // Auto-classified cuisines the classifier wasn't sure about
+        const unsure = trucks.trucks.filter(t =>
+            t.cuisine !== 'unknown' && t.cuisine_confidence !== undefined && t.cuisine_confidence < LOW_CONFIDENCE);
+        if (unsure.length > 0) {
+            warn(`${unsure.length} truck(s) have a low-confidence cuisine, review: ${unsure.map(t => `${t.id} (${t.cuisine} ${t.cuisine_confidence})`).join(', ')}`);
+        }
     }
 
     // 3. Cross-reference: schedule truck_ids should exist in trucks list
-    if (trucks.trucks && schedule.schedule) {
+    if (Array.isArray(trucks.trucks) && Array.isArray(schedule.schedule)) {
         const truckIds = new Set(trucks.trucks.map(t => t.id));
         const orphans = schedule.schedule.filter(e => !truckIds.has(e.truck_id));
         if (orphans.length > 0) {
@@ -104,6 +129,85 @@ try {
         }
     }
 
+    // 4. Aliases must point at known trucks (a merged or retired ID leaves them dangling)
+    const aliases = loadAliases();
+    const knownTruckIds = new Set((trucks.trucks || []).map(t => t.id));
+    const danglingAliases = Object.entries(aliases).filter(([, id]) => !knownTruckIds.has(id));
+    if (danglingAliases.length > 0) {
+        warn(`${danglingAliases.length} alias(es) point at unknown truck IDs: ${danglingAliases.map(([, id]) => id).join(', ')}`);
+    }
+
+    // Overrides must name known trucks (directly or through a redirect) and
+    // only pin or lock fields the scraper knows about
+    let overrides = {};
+    try {
+        overrides = loadOverrides();
+    } catch (err) {
+        fail(`overrides.json is not valid JSON: ${err.message}`);
+    }
+    const danglingOverrides = Object.keys(overrides).filter(id => !knownTruckIds.has(resolveTruckId(id, trucks.redirects)));
+    if (danglingOverrides.length > 0) {
+        warn(`${danglingOverrides.length} override(s) for unknown truck IDs: ${danglingOverrides.join(', ')}`);
+    }
+    for (const [id, override] of Object.entries(overrides)) {
+        const unknownFields = Object.keys(override).filter(f => f !== 'lock' && !OVERRIDE_FIELDS.includes(f));
+        if (unknownFields.length > 0) fail(`Override for ${id} pins unsupported field(s): ${unknownFields.join(', ')}`);
+        const { lock } = override;
+        if (lock !== undefined && lock !== true && !(Array.isArray(lock) && lock.every(f => LOCKABLE_FIELDS.includes(f)))) {
+            fail(`Override for ${id} has an invalid lock (true, or a list of ${LOCKABLE_FIELDS.join('/')}): ${JSON.stringify(lock)}`);
+        }
+        if (override.cuisine !== undefined && !CUISINE_MAP[override.cuisine]) fail(`Override for ${id} pins unknown cuisine: ${override.cuisine}`);
+    }
+
+    // 5. Validate history archive (static/data/history/YYYY-MM.json)
+    const truckIds = new Set((trucks.trucks || []).map(t => t.id));
+    const venueIds = new Set((trucks.venues || []).map(v => v.id));
+    let historyOrphans = 0;
+
+    for (const month of listHistoryMonths()) {
+        let history;
+        try {
+            history = loadHistoryMonth(month);
+        } catch (err) {
+            fail(`history/${month}.json is not valid JSON: ${err.message}`);
+            continue;
+        }
+
+        if (history.month !== month) fail(`history/${month}.json has month "${history.month}"`);
+        if (!Array.isArray(history.entries)) {
+            fail(`history/${month}.json missing entries array`);
+            continue;
+        }
+
+        const keys = new Set();
+        for (const e of history.entries) {
+            if (!e.date || !e.venue_id || !e.truck_id || !e.first_seen || !e.last_seen) {
+                fail(`Invalid history entry in ${month}: ${JSON.stringify(e)}`);
+                break;
+            }
+            if (!e.date.startsWith(month + '-')) {
+                fail(`History entry ${e.date} filed under ${month}`);
+            }
+            if (e.first_seen > e.last_seen) {
+                fail(`History entry ${historyKey(e)} first_seen is after last_seen`);
+            }
+            const key = historyKey(e);
+            if (keys.has(key)) fail(`Duplicate history entry: ${key}`);
+            keys.add(key);
+            if (!venueIds.has(e.venue_id) || !truckIds.has(e.truck_id)) historyOrphans++;
+        }
+    }
+
+    if (historyOrphans > 0) {
+        warn(`${historyOrphans} history entries reference unknown venue or truck IDs`);
+    }
+
+    // 6. The JSDoc types must describe the same shapes as the schemas
+    const typedefs = parseTypedefs(readFileSync(TYPES_PATH, 'utf-8'));
+    for (const name of SCHEMA_NAMES) {
+        for (const problem of checkTypedefs(loadSchema(name), typedefs)) fail(`types.js drifted from ${name}.v${SCHEMA_VERSION}.json — ${problem}`);
+    }
+
 } catch (err) {
     fail(`Failed to read/parse data files: ${err.message}`);
 }
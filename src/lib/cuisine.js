@@ -33,3 +33,13 @@ export const CUISINE_MAP = {
 export function getCuisine(cuisineKey) {
 	return CUISINE_MAP[cuisineKey] || CUISINE_MAP.unknown;
 }
+
+/**
+ * Whether a truck serves a cuisine, as its primary cuisine or a secondary tag.
+ * @param {{cuisine: string, cuisine_tags?: string[]}} truck
+ * @param {string} cuisineKey
+ * @returns {boolean}
+ */
+export function hasCuisine(truck, cuisineKey) {
+	return truck.cuisine === cuisineKey || (truck.cuisine_tags || []).includes(cuisineKey);
+}
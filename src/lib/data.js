@@ -0,0 +1,70 @@
+/**
+ * Shared data loader for routes.
+ * Fetches the static data files and combines them into the shape every page uses.
+ */
+
+/** Data files, served stale-while-revalidate by the service worker */
+export const DATA_URLS = ['/data/trucks.json', '/data/schedule.json'];
+
+/** Cache Storage bucket the service worker keeps the last good data files in */
+export const DATA_CACHE = 'otemachi-data';
+
+/**
+ * Combine trucks.json + schedule.json into ScheduleData.
+ * @param {import('./types').TrucksFile} trucksData
+ * @param {import('./types').ScheduleFile} scheduleData
+ * @returns {import('./types').ScheduleData}
+ */
+function combine(trucksData, scheduleData) {
+	return {
+		last_updated: scheduleData.last_updated,
+		week_start: scheduleData.week_start,
+		week_end: scheduleData.week_end,
+		data_quality: scheduleData.data_quality,
+		venues: trucksData.venues,
+		trucks: trucksData.trucks,
+		redirects: trucksData.redirects || {},
+		schedule: scheduleData.schedule
+	};
+}
+
+/**
+ * Load trucks.json + schedule.json.
+ * @param {typeof fetch} fetch - SvelteKit's load `fetch` (works during prerender)
+ * @returns {Promise<import('./types').ScheduleData>}
+ */
+export async function loadScheduleData(fetch) {
+	const [trucksRes, scheduleRes] = await Promise.all(DATA_URLS.map(url => fetch(url)));
+	if (!trucksRes.ok || !scheduleRes.ok) {
+		throw new Error(`Failed to load schedule data (${trucksRes.status}/${scheduleRes.status})`);
+	}
+	return combine(await trucksRes.json(), await scheduleRes.json());
+}
+
+/**
+ * Load the last good data files the service worker cached, for when the
+ * network is unreachable. Browser only.
+ * @returns {Promise<import('./types').ScheduleData | null>} null if nothing is cached
+ */
+export async function loadCachedScheduleData() {
+	if (typeof caches === 'undefined') return null;
+	const cache = await caches.open(DATA_CACHE);
+	const [trucksRes, scheduleRes] = await Promise.all(DATA_URLS.map(url => cache.match(url)));
+	if (!trucksRes || !scheduleRes) return null;
+	return combine(await trucksRes.json(), await scheduleRes.json());
+}
+
+/**
+ * Follow merge redirects from a retired truck ID to the one it now lives under.
+ * @param {string} id
+ * @param {Record<string, string>} [redirects]
+ * @returns {string} The current ID (unchanged if it was never merged)
+ */
+export function resolveTruckId(id, redirects = {}) {
+	const seen = new Set();
+	while (redirects[id] && !seen.has(id)) {
+		seen.add(id);
+		id = redirects[id];
+	}
+	return id;
+}
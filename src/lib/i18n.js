@@ -0,0 +1,341 @@
+/**
+ * UI localization (Japanese / English).
+ *
+ * Components read `$t` for messages and `$language` for names and dates:
+ *   {$t('filter.open')}
+ *   {$t('venue.truckCount', { count: 3 })}
+ * A key ending in `_one` is used instead of the plain key when `count` is 1.
+ */
+import { derived } from 'svelte/store';
+import { language } from '$lib/stores/preferences.js';
+
+/** @typedef {'ja' | 'en'} Language */
+
+/** @type {Record<Language, Record<string, string>>} */
+const MESSAGES = {
+	ja: {
+		'common.today': '今日',
+		'common.back': '← 戻る',
+		'common.backToSchedule': '← スケジュールに戻る',
+		'common.truck': 'キッチンカー',
+		'common.favorite': 'お気に入り',
+		'common.details': '詳細を見る',
+		'common.preorder': '予約可',
+		'common.checkSource': '公式サイトで確認 →',
+		'common.directions': '🚶 ルート案内',
+		'common.calendar': '📅 カレンダーに登録',
+
+		'theme.toLight': 'ライトモードに切り替え',
+		'theme.toDark': 'ダークモードに切り替え',
+		'language.switch': 'Switch to English',
+		'language.other': 'EN',
+
+		'home.title': '大手町キッチンカー出店スケジュール',
+		'home.description': '大手町の今日のキッチンカーを探そう。',
+		'home.stale': 'スケジュールが古い可能性があります（{hours}時間前に更新）。最新情報は各会場のサイトで確認してください。',
+		'home.lastUpdated': '最終更新: {date}',
+		'home.offline': 'オフラインです。{date} 時点の保存データを表示しています。',
+		'home.suggest': 'ランチを提案',
+
+		'view.map': 'マップ',
+		'view.list': 'リスト',
+
+		'week.this': '今週',
+		'week.next': '来週',
+		'week.ahead': '{count}週間後',
+		'week.previous': '前の週',
+		'week.following': '次の週',
+
+		'search.toggle': 'キッチンカーを検索',
+		'search.placeholder': '店名・料理で検索...',
+		'search.noResults': '「{query}」に一致する結果はありません',
+		'search.noResultsHint': '別の店名やキーワードで試してください',
+		'search.clear': '検索をクリア',
+
+		'filter.all': 'すべて',
+		'filter.open': '営業中',
+		'filter.priceRange': '価格帯',
+		'filter.anyPrice': '価格指定なし',
+
+		'favorites.label': 'お気に入り:',
+		'favorites.today': '台が今日出店',
+		'favorites.noneToday': 'お気に入りは今日は出店なし',
+		'favorites.addToCalendar': '📅 カレンダーに追加',
+		'favorites.calendarName': 'お気に入りのキッチンカー',
+		'fav.add': 'お気に入りに追加',
+		'fav.remove': 'お気に入りから削除',
+		'toast.favAdded': '{name}をお気に入りに追加しました',
+		'toast.favRemoved': 'お気に入りから削除しました',
+		'toast.calendarExported': '{count}件の出店予定を書き出しました',
+		'toast.calendarEmpty': 'お気に入りの今後の出店予定はありません',
+
+		'empty.allClosed': '現在営業中の会場はありません',
+		'empty.allClosedHint': 'ランチ営業は通常 11:00〜14:00 です',
+		'empty.noVenues': '条件に合う会場はありません',
+		'empty.noVenuesHint': 'ジャンルや日付を変えてみてください',
+		'empty.showAll': 'すべての会場を表示',
+
+		'status.open': '営業中',
+		'status.closed': '営業時間外',
+		'status.closedNow': '営業時間外',
+		'status.cancelled': '出店取りやめ',
+
+		'venue.truckCount': '{count}台',
+		'venue.noData': 'この日の出店情報はありません',
+		'venue.noMatch': 'この条件に合うキッチンカーは本日ありません',
+		'venue.metaDescription': '{name}の今週のキッチンカー出店情報。',
+		'venue.weekdaysWithData': '平日にデータあり',
+		'venue.entriesInWindow': '件の出店（期間内）',
+		'venue.missing': 'データなし: {days}',
+		'venue.lineup': '出店ラインナップ',
+
+		'truck.menu': 'メニュー',
+		'truck.confirmed': '{ago}に会場サイトで確認',
+		'truck.moreItems': '他{count}品',
+		'truck.metaDescription': '{name}の大手町での次回出店日と場所。',
+		'truck.upcoming': '今後の出店予定',
+		'truck.next': '次回',
+		'truck.noUpcoming': '現在のスケジュールに出店予定はありません',
+
+		'map.directions': '徒歩ルート',
+		'map.noTrucks': 'この日の出店はありません',
+		'map.fullSchedule': '公式サイトで全スケジュールを見る →',
+
+		'suggest.title': '今日のランチ、どうする？',
+		'suggest.random': 'おまかせ！',
+		'suggest.randomSub': 'ランダムに選ぶ',
+		'suggest.guided': '気分で選ぶ',
+		'suggest.guidedSub': '質問に答えて提案',
+		'suggest.moodTitle': '今日の気分は？',
+		'suggest.spinning': '選んでいます...',
+		'suggest.resultLabel': '今日のおすすめ',
+		'suggest.closedNow': '（営業時間外）',
+		'suggest.detailsLink': '詳細を見る →',
+		'suggest.go': '🚶 ここへ行く（Google Maps）',
+		'suggest.none': '今日は出店情報がありません 😢',
+		'suggest.retry': 'もう一度',
+		'mood.heavy': 'ガッツリ',
+		'mood.light': 'あっさり',
+		'mood.spicy': '辛いもの',
+		'mood.adventure': '冒険したい',
+	},
+	en: {
+		'common.today': 'Today',
+		'common.back': '← Back',
+		'common.backToSchedule': '← Back to schedule',
+		'common.truck': 'truck',
+		'common.favorite': 'Favorite',
+		'common.details': 'Details',
+		'common.preorder': 'Pre-order',
+		'common.checkSource': 'Check the official site →',
+		'common.directions': '🚶 Directions',
+		'common.calendar': '📅 Add to calendar',
+
+		'theme.toLight': 'Switch to light mode',
+		'theme.toDark': 'Switch to dark mode',
+		'language.switch': '日本語に切り替え',
+		'language.other': '日本語',
+
+		'home.title': 'Otemachi Food Truck Schedule',
+		'home.description': 'Find the best food trucks in Otemachi today.',
+		'home.stale': 'Schedule data may be outdated (last updated {hours}h ago). Check venue links for latest info.',
+		'home.lastUpdated': 'Last updated: {date}',
+		'home.offline': "You're offline. Showing the schedule saved on {date}.",
+		'home.suggest': 'Suggest a Lunch',
+
+		'view.map': 'Map',
+		'view.list': 'List',
+
+		'week.this': 'This week',
+		'week.next': 'Next week',
+		'week.ahead': 'In {count} weeks',
+		'week.previous': 'Previous week',
+		'week.following': 'Following week',
+
+		'search.toggle': 'Search trucks',
+		'search.placeholder': 'Search trucks or dishes...',
+		'search.noResults': 'No results for "{query}"',
+		'search.noResultsHint': 'Try a different name or keyword',
+		'search.clear': 'Clear Search',
+
+		'filter.all': 'All',
+		'filter.open': 'Open',
+		'filter.priceRange': 'Price range',
+		'filter.anyPrice': 'Any price',
+
+		'favorites.label': 'Your favorites:',
+		'favorites.today': 'trucks today',
+		'favorites.today_one': 'truck today',
+		'favorites.noneToday': 'None of your favorites are out today',
+		'favorites.addToCalendar': '📅 Add to calendar',
+		'favorites.calendarName': 'My favorite food trucks',
+		'fav.add': 'Add to favorites',
+		'fav.remove': 'Remove from favorites',
+		'toast.favAdded': 'Added {name} to favorites',
+		'toast.favRemoved': 'Removed from favorites',
+		'toast.calendarExported': 'Exported {count} upcoming appearances',
+		'toast.calendarExported_one': 'Exported {count} upcoming appearance',
+		'toast.calendarEmpty': 'No upcoming appearances for your favorites',
+
+		'empty.allClosed': 'All venues are closed right now',
+		'empty.allClosedHint': 'Lunch hours are typically 11:00 - 14:00',
+		'empty.noVenues': 'No venues match your filters',
+		'empty.noVenuesHint': 'Try adjusting your cuisine filter or date',
+		'empty.showAll': 'Show All Venues',
+
+		'status.open': 'OPEN',
+		'status.closed': 'Closed',
+		'status.closedNow': 'Closed now',
+		'status.cancelled': 'Cancelled',
+
+		'venue.truckCount': '{count} trucks',
+		'venue.truckCount_one': '{count} truck',
+		'venue.noData': 'No trucks listed for this day',
+		'venue.noMatch': 'No trucks here match your filters today',
+		'venue.metaDescription': 'Food truck lineup at {name} for the week.',
+		'venue.weekdaysWithData': 'weekdays with data',
+		'venue.entriesInWindow': 'entries this window',
+		'venue.missing': 'Missing: {days}',
+		'venue.lineup': 'Lineup',
+
+		'truck.menu': 'Menu',
+		'truck.confirmed': 'Confirmed {ago} from the venue site',
+		'truck.moreItems': '+{count} more',
+		'truck.metaDescription': 'When and where {name} is next in Otemachi.',
+		'truck.upcoming': 'Upcoming appearances',
+		'truck.next': 'Next',
+		'truck.noUpcoming': 'No upcoming appearances in the current schedule',
+
+		'map.directions': 'Walking directions',
+		'map.noTrucks': 'No trucks scheduled today',
+		'map.fullSchedule': 'View full schedule on official site →',
+
+		'suggest.title': "What's for lunch today?",
+		'suggest.random': 'Surprise me!',
+		'suggest.randomSub': 'Pick one at random',
+		'suggest.guided': 'Pick by mood',
+		'suggest.guidedSub': 'Answer one question',
+		'suggest.moodTitle': 'How are you feeling?',
+		'suggest.spinning': 'Picking...',
+		'suggest.resultLabel': "Today's pick",
+		'suggest.closedNow': '(Closed now)',
+		'suggest.detailsLink': 'Details →',
+		'suggest.go': '🚶 Take me there (Google Maps)',
+		'suggest.none': 'No trucks scheduled today 😢',
+		'suggest.retry': 'Try again',
+		'mood.heavy': 'Hearty',
+		'mood.light': 'Light',
+		'mood.spicy': 'Spicy',
+		'mood.adventure': 'Adventurous',
+	},
+};
+
+/**
+ * Cuisine labels keyed by CUISINE_MAP keys. The Japanese labels match the
+ * ones the scraper writes into trucks.json.
+ * @type {Record<Language, Record<string, string>>}
+ */
+const CUISINE_LABELS = {
+	ja: {
+		meat: '肉料理', chicken: 'チキン', japanese: '和食', hawaiian: 'ハワイアン',
+		asian: 'アジアン', curry: 'カレー', korean: '韓国料理', italian: 'イタリアン',
+		western: '洋食', okinawan: '沖縄料理', kebab: 'ケバブ', bento: 'お弁当',
+		pork: 'ポーク', bread: 'パン', chinese: '中華', vietnamese: 'ベトナム',
+		sweets: 'スイーツ', unknown: 'その他',
+	},
+	en: {
+		meat: 'Meat', chicken: 'Chicken', japanese: 'Japanese', hawaiian: 'Hawaiian',
+		asian: 'Asian', curry: 'Curry', korean: 'Korean', italian: 'Italian',
+		western: 'Western', okinawan: 'Okinawan', kebab: 'Kebab', bento: 'Bento',
+		pork: 'Pork', bread: 'Bread & Sandwiches', chinese: 'Chinese', vietnamese: 'Vietnamese',
+		sweets: 'Sweets', unknown: 'Other',
+	},
+};
+
+/** BCP 47 locale per UI language, for Intl/Date formatting */
+const LOCALES = { ja: 'ja-JP', en: 'en-US' };
+
+/**
+ * Look up a message and fill in `{param}` placeholders.
+ * Falls back to Japanese, then to the key itself.
+ * @param {Language} lang
+ * @param {string} key
+ * @param {Record<string, string | number>} [params]
+ * @returns {string}
+ */
+export function translate(lang, key, params = {}) {
+	const table = MESSAGES[lang] || MESSAGES.ja;
+	const message = (params.count === 1 && table[`${key}_one`]) || table[key] || MESSAGES.ja[key] || key;
+	return message.replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m));
+}
+
+/**
+ * BCP 47 locale for a UI language.
+ * @param {Language} lang
+ * @returns {string}
+ */
+export function localeFor(lang) {
+	return LOCALES[lang] || LOCALES.ja;
+}
+
+/**
+ * Localized label for a cuisine key (used by the cuisine filter).
+ * @param {string} key - CUISINE_MAP key
+ * @param {Language} lang
+ * @returns {string}
+ */
+export function cuisineKeyLabel(key, lang) {
+	return CUISINE_LABELS[lang]?.[key] || CUISINE_LABELS.ja[key] || key;
+}
+
+/**
+ * Localized cuisine label for a truck. In Japanese the scraped label wins,
+ * so display matches trucks.json; unknown keys fall back to it too.
+ * @param {{cuisine: string, cuisine_label: string}} truck
+ * @param {Language} lang
+ * @returns {string}
+ */
+export function cuisineLabel(truck, lang) {
+	if (lang === 'ja') return truck.cuisine_label || CUISINE_LABELS.ja[truck.cuisine] || '?';
+	return CUISINE_LABELS[lang]?.[truck.cuisine] || truck.cuisine_label;
+}
+
+/**
+ * Display name for a truck: its English name in English when known.
+ * @param {{name: string, name_en?: string}} truck
+ * @param {Language} lang
+ * @returns {string}
+ */
+export function truckName(truck, lang) {
+	return lang === 'en' && truck.name_en ? truck.name_en : truck.name;
+}
+
+/**
+ * Display name for a venue in the UI language.
+ * @param {{name: string, name_en?: string}} venue
+ * @param {Language} lang
+ * @returns {string}
+ */
+export function venueName(venue, lang) {
+	return lang === 'en' && venue.name_en ? venue.name_en : venue.name;
+}
+
+/**
+ * The venue's name in the other language, for a subtitle (or '' if none).
+ * @param {{name: string, name_en?: string}} venue
+ * @param {Language} lang
+ * @returns {string}
+ */
+export function venueAltName(venue, lang) {
+	if (!venue.name_en) return '';
+	return lang === 'en' ? venue.name : venue.name_en;
+}
+
+/** Message lookup bound to the current language: `$t('key', params)` */
+export const t = derived(language, $lang =>
+	/**
+	 * @param {string} key
+	 * @param {Record<string, string | number>} [params]
+	 */
+	(key, params) => translate(/** @type {Language} */ ($lang), key, params)
+);
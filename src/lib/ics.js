@@ -0,0 +1,211 @@
+/**
+ * iCalendar (RFC 5545) output for schedule entries.
+ * Used by the prerendered venue/truck feeds under /calendar and by the
+ * in-browser favorites export.
+ */
+import { getTruckHours } from './utils.js';
+import { truckName, venueName, cuisineLabel } from './i18n.js';
+
+const PRODID = '-//Otemachi Eats//Food Truck Schedule//EN';
+const UID_DOMAIN = 'otemachi-eats';
+const TZID = 'Asia/Tokyo';
+
+/** Japan has no DST, so a single STANDARD block describes the zone */
+const VTIMEZONE = [
+	'BEGIN:VTIMEZONE',
+	`TZID:${TZID}`,
+	'BEGIN:STANDARD',
+	'DTSTART:19700101T000000',
+	'TZOFFSETFROM:+0900',
+	'TZOFFSETTO:+0900',
+	'TZNAME:JST',
+	'END:STANDARD',
+	'END:VTIMEZONE'
+];
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} [start] - HH:MM local (Tokyo) time; omitted → all-day event
+ * @property {string} [end] - HH:MM
+ * @property {string} summary
+ * @property {string} [location]
+ * @property {string} [description]
+ * @property {string} [url]
+ * @property {boolean} [cancelled] - Sent as STATUS:CANCELLED so subscribed calendars drop it
+ */
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline).
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+	return text
+		.replace(/\\/g, '\\\\')
+		.replace(/;/g, '\\;')
+		.replace(/,/g, '\\,')
+		.replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets per physical line.
+ * Counts UTF-8 bytes so Japanese text never splits inside a character.
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+	const encoder = new TextEncoder();
+	const parts = [];
+	let current = '';
+	let bytes = 0;
+	for (const ch of line) {
+		const size = encoder.encode(ch).length;
+		// Continuation lines start with a space, which counts toward the limit
+		const limit = parts.length === 0 ? 75 : 74;
+		if (bytes + size > limit) {
+			parts.push(current);
+			current = '';
+			bytes = 0;
+		}
+		current += ch;
+		bytes += size;
+	}
+	parts.push(current);
+	return parts.join('\r\n ');
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {string} e.g. "20260225T110000"
+ */
+function formatLocalDateTime(date, time) {
+	const [h, m] = time.split(':');
+	return `${date.replace(/-/g, '')}T${h.padStart(2, '0')}${m}00`;
+}
+
+/**
+ * @param {Date} d
+ * @returns {string} UTC timestamp, e.g. "20260225T020000Z"
+ */
+function formatUTC(d) {
+	return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} The following day as YYYYMMDD
+ */
+function nextDay(date) {
+	const d = new Date(date + 'T00:00:00Z');
+	d.setUTCDate(d.getUTCDate() + 1);
+	return d.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * @param {string} time - H:MM or HH:MM
+ * @returns {string} HH:MM, so times sort as strings
+ */
+function padTime(time) {
+	return time.padStart(5, '0');
+}
+
+/**
+ * Turn schedule entries into calendar events. Times come from the entry when
+ * the source listed them, otherwise from the venue's hours; the venue address
+ * is the location. Entries with unknown trucks or venues are skipped; cancelled
+ * entries become cancelled events.
+ * @param {{venues: import('./types').Venue[], trucks: import('./types').Truck[]}} data
+ * @param {import('./types').ScheduleEntry[]} entries
+ * @param {import('./i18n').Language} [lang]
+ * @returns {CalendarEvent[]}
+ */
+export function scheduleEvents(data, entries, lang = 'ja') {
+	const venueMap = new Map(data.venues.map(v => [v.id, v]));
+	const truckMap = new Map(data.trucks.map(t => [t.id, t]));
+	/** @type {CalendarEvent[]} */
+	const events = [];
+	for (const e of entries) {
+		const venue = venueMap.get(e.venue_id);
+		const truck = truckMap.get(e.truck_id);
+		if (!venue || !truck) continue;
+
+		const m = getTruckHours(e, venue).match(/(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})/);
+		events.push({
+			uid: `${e.date}-${e.venue_id}-${e.truck_id}@${UID_DOMAIN}`,
+			date: e.date,
+			...(m ? { start: padTime(m[1]), end: padTime(m[2]) } : {}),
+			summary: `${truckName(truck, lang)} @ ${venueName(venue, lang)}`,
+			location: venue.address,
+			description: cuisineLabel(truck, lang),
+			...(truck.url ? { url: truck.url } : {}),
+			...(e.cancelled ? { cancelled: true } : {})
+		});
+	}
+	return events.sort((a, b) =>
+		a.date.localeCompare(b.date) || (a.start || '').localeCompare(b.start || '') || a.uid.localeCompare(b.uid));
+}
+
+/**
+ * Serialize events as an iCalendar document.
+ * @param {string} name - Calendar display name (X-WR-CALNAME)
+ * @param {CalendarEvent[]} events
+ * @param {Date} [stamp] - DTSTAMP for every event; pass the data's last update
+ *   so the feed only changes when the schedule does
+ * @returns {string}
+ */
+export function buildCalendar(name, events, stamp = new Date()) {
+	const dtstamp = formatUTC(stamp);
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		`PRODID:${PRODID}`,
+		'CALSCALE:GREGORIAN',
+		'METHOD:PUBLISH',
+		`X-WR-CALNAME:${escapeText(name)}`,
+		`X-WR-TIMEZONE:${TZID}`,
+		...VTIMEZONE
+	];
+
+	for (const ev of events) {
+		lines.push('BEGIN:VEVENT', `UID:${ev.uid}`, `DTSTAMP:${dtstamp}`);
+		if (ev.start && ev.end) {
+			lines.push(
+				`DTSTART;TZID=${TZID}:${formatLocalDateTime(ev.date, ev.start)}`,
+				`DTEND;TZID=${TZID}:${formatLocalDateTime(ev.date, ev.end)}`
+			);
+		} else {
+			lines.push(
+				`DTSTART;VALUE=DATE:${ev.date.replace(/-/g, '')}`,
+				`DTEND;VALUE=DATE:${nextDay(ev.date)}`
+			);
+		}
+		lines.push(`SUMMARY:${escapeText(ev.summary)}`);
+		if (ev.location) lines.push(`LOCATION:${escapeText(ev.location)}`);
+		if (ev.description) lines.push(`DESCRIPTION:${escapeText(ev.description)}`);
+		if (ev.url) lines.push(`URL:${ev.url}`);
+		if (ev.cancelled) lines.push('STATUS:CANCELLED');
+		lines.push('END:VEVENT');
+	}
+
+	lines.push('END:VCALENDAR');
+	return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Have the browser download an .ics document.
+ * @param {string} ics
+ * @param {string} filename
+ */
+export function downloadCalendar(ics, filename) {
+	const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+	const a = document.createElement('a');
+	a.href = url;
+	a.download = filename;
+	document.body.appendChild(a);
+	a.click();
+	a.remove();
+	URL.revokeObjectURL(url);
+}
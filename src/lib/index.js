@@ -2,5 +2,8 @@
  * Barrel exports for $lib alias.
  * Components and utilities can be imported via `$lib`.
  */
-export { isVenueOpen, getDirectionsUrl, buildDays, formatDateISO, formatDateJP } from './utils.js';
-export { getCuisine, CUISINE_MAP } from './cuisine.js';
+export { isVenueOpen, getTruckHours, getPriceRange, formatYen, getDirectionsUrl, buildDays, buildHorizon, formatDateISO, formatDateJP, formatTimeAgo, formatWeekday, formatDayLabel, getUpcomingAppearances } from './utils.js';
+export { resolveTruckId } from './data.js';
+export { getCuisine, hasCuisine, CUISINE_MAP } from './cuisine.js';
+export { t, translate, localeFor, cuisineLabel, cuisineKeyLabel, truckName, venueName, venueAltName } from './i18n.js';
+export { buildCalendar, scheduleEvents, downloadCalendar } from './ics.js';
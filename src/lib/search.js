@@ -0,0 +1,297 @@
+/**
+ * Japanese-aware truck search.
+ *
+ * Queries and truck fields are folded the same way before comparison:
+ *   - NFKC + lowercase (full/half width), as normalizeName does when scraping
+ *   - katakana → hiragana, so "からあげ" finds "カラアゲ"
+ *   - kana → romaji, so "chikin" finds "チキン" (spelling variants such as
+ *     shi/si, tsu/tu and long vowels collapse to one canonical form)
+ *   - a small synonym table bridges kanji, kana and English ("唐揚げ" ↔ "karaage")
+ */
+
+/**
+ * Groups of interchangeable search terms. A query equal to any term also
+ * searches for the rest of its group.
+ * @type {string[][]}
+ */
+const SYNONYMS = [
+	['からあげ', '唐揚げ', '唐揚', 'から揚げ', 'karaage', 'fried chicken'],
+	['チキン', '鶏', '鳥', 'とり', 'chicken'],
+	['ビーフ', '牛', 'beef'],
+	['ポーク', '豚', 'pork'],
+	['カレー', 'curry'],
+	['ラーメン', '拉麺', 'ramen', 'noodle'],
+	['弁当', 'べんとう', 'bento'],
+	['丼', 'どんぶり', 'donburi', 'rice bowl'],
+	['ハンバーガー', 'バーガー', 'burger', 'hamburger'],
+	['ガパオ', 'gapao', 'kapao', 'pad kra pao'],
+	['フォー', 'pho'],
+	['バインミー', 'banh mi', 'banhmi'],
+	['ケバブ', 'kebab', 'kebap'],
+	['タコス', 'taco', 'tacos'],
+	['ピザ', 'pizza'],
+	['パスタ', 'pasta', 'spaghetti'],
+	['スイーツ', 'デザート', 'sweets', 'dessert'],
+	['コーヒー', '珈琲', 'coffee'],
+	['韓国', 'korean'],
+	['中華', 'chinese'],
+	['タイ', 'thai'],
+	['沖縄', 'okinawa', 'okinawan'],
+	['ハワイ', 'hawaiian', 'hawaii'],
+];
+
+/**
+ * Hiragana digraphs, checked before single kana
+ * @type {Record<string, string>}
+ */
+const DIGRAPHS = {
+	'きゃ': 'kya', 'きゅ': 'kyu', 'きょ': 'kyo', 'ぎゃ': 'gya', 'ぎゅ': 'gyu', 'ぎょ': 'gyo',
+	'しゃ': 'sha', 'しゅ': 'shu', 'しょ': 'sho', 'しぇ': 'she', 'じゃ': 'ja', 'じゅ': 'ju', 'じょ': 'jo', 'じぇ': 'je',
+	'ちゃ': 'cha', 'ちゅ': 'chu', 'ちょ': 'cho', 'ちぇ': 'che', 'にゃ': 'nya', 'にゅ': 'nyu', 'にょ': 'nyo',
+	'ひゃ': 'hya', 'ひゅ': 'hyu', 'ひょ': 'hyo', 'びゃ': 'bya', 'びゅ': 'byu', 'びょ': 'byo',
+	'ぴゃ': 'pya', 'ぴゅ': 'pyu', 'ぴょ': 'pyo', 'みゃ': 'mya', 'みゅ': 'myu', 'みょ': 'myo',
+	'りゃ': 'rya', 'りゅ': 'ryu', 'りょ': 'ryo',
+	'ふぁ': 'fa', 'ふぃ': 'fi', 'ふぇ': 'fe', 'ふぉ': 'fo', 'てぃ': 'ti', 'でぃ': 'di', 'とぅ': 'tu', 'どぅ': 'du',
+	'うぃ': 'wi', 'うぇ': 'we', 'うぉ': 'wo', 'ゔぁ': 'va', 'ゔぃ': 'vi', 'ゔぇ': 've', 'ゔぉ': 'vo',
+	'つぁ': 'tsa', 'つぇ': 'tse', 'つぉ': 'tso',
+};
+
+/**
+ * Single hiragana
+ * @type {Record<string, string>}
+ */
+const KANA = {
+	'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+	'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko', 'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+	'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so', 'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+	'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to', 'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+	'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+	'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho', 'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+	'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+	'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+	'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+	'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+	'わ': 'wa', 'を': 'o', 'ん': 'n', 'ゔ': 'vu',
+	'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o', 'ゃ': 'ya', 'ゅ': 'yu', 'ょ': 'yo',
+};
+
+/** How much a hit in each truck field counts towards the score */
+const FIELD_WEIGHTS = {
+	name: 1,
+	cuisine_label: 0.6,
+	menu: 0.5,
+	cuisine: 0.4,
+	id: 0.4,
+	description: 0.3,
+};
+
+/** A term found only through a synonym ranks a little below a literal hit */
+const SYNONYM_FACTOR = 0.9;
+
+/**
+ * Fold width, case and kana: NFKC, lowercase, katakana → hiragana.
+ * @param {string} str
+ * @returns {string}
+ */
+export function foldKana(str) {
+	return (str || '')
+		.normalize('NFKC')
+		.toLowerCase()
+		.replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60))
+		.replace(/\s+/g, ' ')
+		.trim();
+}
+
+/**
+ * Convert the kana in a folded string to Hepburn romaji. Other characters
+ * (latin, digits, kanji) pass through unchanged.
+ * @param {string} folded - Output of foldKana
+ * @returns {string}
+ */
+export function toRomaji(folded) {
+	let out = '';
+	let doubleNext = false;
+	for (let i = 0; i < folded.length; i++) {
+		const ch = folded[i];
+		if (ch === 'っ') {
+			doubleNext = true;
+			continue;
+		}
+		if (ch === 'ー') continue; // long vowel mark: collapsed by canonicalRomaji anyway
+
+		const pair = folded.slice(i, i + 2);
+		let roma = DIGRAPHS[pair];
+		if (roma) {
+			i++;
+		} else {
+			roma = KANA[ch] ?? ch;
+		}
+		if (doubleNext && /^[a-z]/.test(roma)) {
+			roma = (roma.startsWith('ch') ? 't' : roma[0]) + roma;
+		}
+		doubleNext = false;
+		out += roma;
+	}
+	return out;
+}
+
+/**
+ * Reduce romaji to a spelling-agnostic form: Hepburn and kunrei variants,
+ * doubled letters and long vowels all map to the same string.
+ * @param {string} romaji
+ * @returns {string} Only [a-z0-9]; empty if nothing romanizable remains
+ */
+export function canonicalRomaji(romaji) {
+	return romaji
+		.replace(/[^a-z0-9]/g, '')
+		.replace(/tch/g, 'ch')
+		.replace(/shi/g, 'si')
+		.replace(/chi/g, 'ti')
+		.replace(/tsu/g, 'tu')
+		.replace(/fu/g, 'hu')
+		.replace(/ji/g, 'zi')
+		.replace(/sh/g, 'sy')
+		.replace(/ch/g, 'ty')
+		.replace(/j/g, 'zy')
+		.replace(/m(?=[bp])/g, 'n')
+		.replace(/(.)\1+/g, '$1')
+		.replace(/ou/g, 'o');
+}
+
+/**
+ * Folded and romaji forms of a string, for comparison.
+ * @param {string} str
+ * @returns {{kana: string, roma: string}}
+ */
+function forms(str) {
+	const kana = foldKana(str);
+	return { kana, roma: canonicalRomaji(toRomaji(kana)) };
+}
+
+/**
+ * How well a query term matches a field: 1 exact, 0.9 prefix, 0.75 contained;
+ * romaji-only matches score lower. 0 if no match.
+ * @param {{kana: string, roma: string}} term
+ * @param {{kana: string, roma: string}} field
+ * @returns {number}
+ */
+function matchQuality(term, field) {
+	if (!field.kana) return 0;
+	if (field.kana === term.kana) return 1;
+	if (field.kana.startsWith(term.kana)) return 0.9;
+	if (field.kana.includes(term.kana)) return 0.75;
+
+	// Romaji comparison needs a few letters to avoid matching everything
+	if (term.roma.length < 2 || !field.roma) return 0;
+	if (field.roma === term.roma) return 0.85;
+	if (field.roma.startsWith(term.roma)) return 0.75;
+	if (term.roma.length >= 3 && field.roma.includes(term.roma)) return 0.6;
+	return 0;
+}
+
+/**
+ * Folded synonym groups, built on first use
+ * @type {{kana: string, roma: string}[][] | null}
+ */
+let synonymIndex = null;
+
+/**
+ * Other spellings of a term, from the synonym table.
+ * @param {{kana: string, roma: string}} term
+ * @returns {{kana: string, roma: string}[]}
+ */
+function synonymsOf(term) {
+	if (!synonymIndex) {
+		synonymIndex = SYNONYMS.map(group => group.map(forms));
+	}
+	const found = [];
+	for (const group of synonymIndex) {
+		const hit = group.some(s => s.kana === term.kana || (term.roma.length >= 2 && s.roma === term.roma));
+		if (hit) found.push(...group.filter(s => s.kana !== term.kana));
+	}
+	return found;
+}
+
+/** Per-truck folded fields, cached by truck object */
+const fieldCache = new WeakMap();
+
+/**
+ * Searchable fields of a truck with their weights, folded once per truck.
+ * @param {import('./types').Truck} truck
+ * @returns {{weight: number, kana: string, roma: string}[]}
+ */
+function truckFields(truck) {
+	let fields = fieldCache.get(truck);
+	if (fields) return fields;
+
+	/** @type {[string, string | undefined][]} */
+	const raw = [
+		['name', truck.name],
+		['cuisine_label', truck.cuisine_label],
+		['cuisine', truck.cuisine],
+		['id', truck.id],
+		['description', truck.description],
+		...(truck.menu || []).map(m => /** @type {[string, string]} */ (['menu', m.name])),
+	];
+	fields = raw
+		.filter(([, text]) => text)
+		.map(([key, text]) => ({
+			weight: FIELD_WEIGHTS[/** @type {keyof typeof FIELD_WEIGHTS} */ (key)],
+			...forms(/** @type {string} */ (text)),
+		}));
+	fieldCache.set(truck, fields);
+	return fields;
+}
+
+/**
+ * Compile a search query into a scoring function. Whitespace-separated terms
+ * must all match (AND); a truck's score sums each term's best field hit.
+ * @param {string} query
+ * @returns {((truck: import('./types').Truck) => number) | null} null for an empty query;
+ *   the function returns 0 for trucks that don't match
+ */
+export function createTruckSearch(query) {
+	const folded = foldKana(query);
+	if (!folded) return null;
+
+	// The whole query may itself be a multi-word synonym ("fried chicken")
+	const wholeSynonyms = synonymsOf(forms(folded));
+	const terms = folded.split(' ').map(t => {
+		const term = forms(t);
+		return { term, alternatives: synonymsOf(term) };
+	});
+
+	return truck => {
+		const fields = truckFields(truck);
+
+		/**
+		 * @param {{kana: string, roma: string}} term
+		 * @param {number} factor
+		 */
+		const best = (term, factor) => {
+			let top = 0;
+			for (const f of fields) {
+				top = Math.max(top, matchQuality(term, f) * f.weight * factor);
+			}
+			return top;
+		};
+
+		let score = 0;
+		for (const { term, alternatives } of terms) {
+			let termScore = best(term, 1);
+			for (const alt of alternatives) {
+				termScore = Math.max(termScore, best(alt, SYNONYM_FACTOR));
+			}
+			if (termScore === 0) {
+				score = 0;
+				break;
+			}
+			score += termScore;
+		}
+
+		for (const alt of wholeSynonyms) {
+			score = Math.max(score, best(alt, SYNONYM_FACTOR));
+		}
+		return score;
+	};
+}
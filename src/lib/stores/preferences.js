@@ -1,5 +1,6 @@
 import { writable, derived } from 'svelte/store';
 import { browser } from '$app/environment';
+import { resolveTruckId } from '$lib/data.js';
 
 /**
  * Persistent view mode store ('map' | 'list').
@@ -19,6 +20,33 @@ function createViewMode() {
 
 export const viewMode = createViewMode();
 
+/**
+ * Persistent UI language store ('ja' | 'en').
+ * First visit follows the browser language; prerendered pages are Japanese.
+ */
+function createLanguage() {
+	/** @type {'ja' | 'en'} */
+	let initial = 'ja';
+	if (browser) {
+		const saved = localStorage.getItem('language');
+		initial = saved === 'ja' || saved === 'en'
+			? saved
+			: (navigator.language || '').toLowerCase().startsWith('ja') ? 'ja' : 'en';
+	}
+	const { subscribe, set } = writable(initial);
+
+	return {
+		subscribe,
+		/** @param {'ja' | 'en'} value */
+		set(value) {
+			set(value);
+			if (browser) localStorage.setItem('language', value);
+		}
+	};
+}
+
+export const language = createLanguage();
+
 /**
  * Persistent favorites store (Set<string> of truck IDs).
  */
@@ -55,6 +83,18 @@ function createFavorites() {
 				return next;
 			});
 		},
+		/**
+		 * Move favorites saved under merged-away truck IDs to the current ones.
+		 * @param {Record<string, string>} [redirects]
+		 */
+		applyRedirects(redirects = {}) {
+			update(favs => {
+				const next = new Set([...favs].map(id => resolveTruckId(id, redirects)));
+				if (next.size === favs.size && [...next].every(id => favs.has(id))) return favs;
+				persist(next);
+				return next;
+			});
+		},
 		has(truckId) {
 			let result = false;
 			// Synchronous read via subscribe
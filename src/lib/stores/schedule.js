@@ -1,10 +1,12 @@
 import { writable, derived } from 'svelte/store';
-import { isVenueOpen } from '$lib/utils.js';
+import { isVenueOpen, getTruckHours, getPriceRange } from '$lib/utils.js';
+import { foldKana, createTruckSearch } from '$lib/search.js';
+import { hasCuisine } from '$lib/cuisine.js';
 
 /** Selected date (ISO string) */
 export const selectedDate = writable('');
 
-/** Active cuisine filter label */
+/** Active cuisine filter: a CUISINE_MAP key, or 'All' */
 export const activeCuisine = writable('All');
 
 /** Search query */
@@ -13,6 +15,9 @@ export const searchQuery = writable('');
 /** "Open now" toggle */
 export const showOpenOnly = writable(false);
 
+/** Price ceiling in yen (null = any price); keeps trucks with an item at or under it */
+export const maxPrice = writable(/** @type {number|null} */ (null));
+
 /** Current time (updated by page onMount interval) */
 export const currentTime = writable(new Date());
 
@@ -34,21 +39,42 @@ export function createScheduleStores(dataStore) {
 		([$data, $date]) => $data.schedule.filter(e => e.date === $date)
 	);
 
-	/** Trucks grouped by venue_id for the selected date */
-	const trucksByVenue = derived(
-		[todaySchedule, truckMap],
-		([$today, $map]) => {
-			const grouped = new Map();
-			for (const entry of $today) {
-				const truck = $map.get(entry.truck_id);
-				if (!truck) continue;
-				if (!grouped.has(entry.venue_id)) {
-					grouped.set(entry.venue_id, []);
-				}
-				grouped.get(entry.venue_id).push(truck);
+	/**
+	 * Group entries' trucks by venue_id, with per-entry service times and
+	 * where and when the entry was last confirmed.
+	 * @param {import('$lib/types').ScheduleEntry[]} entries
+	 * @param {Map<string, import('$lib/types').Truck>} map
+	 */
+	function groupByVenue(entries, map) {
+		/** @type {Map<string, import('$lib/types').ScheduledTruck[]>} */
+		const grouped = new Map();
+		for (const entry of entries) {
+			const truck = map.get(entry.truck_id);
+			if (!truck) continue;
+			let venueTrucks = grouped.get(entry.venue_id);
+			if (!venueTrucks) {
+				venueTrucks = [];
+				grouped.set(entry.venue_id, venueTrucks);
 			}
-			return grouped;
+			venueTrucks.push({
+				...truck,
+				...(entry.start ? { start: entry.start, end: entry.end } : {}),
+				...(entry.last_seen ? { last_seen: entry.last_seen, source_url: entry.source_url } : {})
+			});
 		}
+		return grouped;
+	}
+
+	/** Trucks grouped by venue_id for the selected date, cancelled ones left out */
+	const trucksByVenue = derived(
+		[todaySchedule, truckMap],
+		([$today, $map]) => groupByVenue($today.filter(e => !e.cancelled), $map)
+	);
+
+	/** Trucks the venue dropped from its listing for the selected date, by venue_id */
+	const cancelledByVenue = derived(
+		[todaySchedule, truckMap],
+		([$today, $map]) => groupByVenue($today.filter(e => e.cancelled), $map)
 	);
 
 	/** Flat list of all trucks for the selected date */
@@ -56,38 +82,76 @@ export function createScheduleStores(dataStore) {
 		[...$byVenue.values()].flat()
 	);
 
-	/** Available cuisine labels for the selected date */
+	/** Available cuisine keys for the selected date, secondary tags included */
 	const cuisines = derived(allTrucksForDate, $trucks =>
-		[...new Set($trucks.map(t => t.cuisine_label))].sort()
+		[...new Set($trucks.flatMap(t => [t.cuisine, ...(t.cuisine_tags || [])]))].sort()
 	);
 
-	/** Normalized search query */
-	const normalizedSearch = derived(searchQuery, $q => $q.toLowerCase().trim());
+	/** Whether any truck on the selected date lists menu prices */
+	const hasPrices = derived(allTrucksForDate, $trucks =>
+		$trucks.some(t => getPriceRange(t) !== null)
+	);
+
+	/** Normalized search query (width, case and kana folded) */
+	const normalizedSearch = derived(searchQuery, $q => foldKana($q));
+
+	/** Scoring function for the current query, or null when not searching */
+	const truckSearch = derived(searchQuery, $q => createTruckSearch($q));
 
 	/** Full venue display data with filtering applied */
 	const venueDisplayData = derived(
-		[dataStore, trucksByVenue, activeCuisine, normalizedSearch, showOpenOnly, currentTime],
-		([$data, $byVenue, $cuisine, $search, $openOnly, $now]) => {
-			return $data.venues
+		[dataStore, trucksByVenue, cancelledByVenue, activeCuisine, truckSearch, showOpenOnly, maxPrice, currentTime],
+		([$data, $byVenue, $cancelled, $cuisine, $search, $openOnly, $maxPrice, $now]) => {
+			const display = $data.venues
 				.map(v => {
 					const venueTrucks = $byVenue.get(v.id) || [];
+					const cancelledTrucks = $cancelled.get(v.id) || [];
 
 					let filteredTrucks = $cuisine === 'All'
 						? venueTrucks
-						: venueTrucks.filter(t => t.cuisine_label === $cuisine);
+						: venueTrucks.filter(t => hasCuisine(t, $cuisine));
+
+					if ($maxPrice !== null) {
+						filteredTrucks = filteredTrucks.filter(t => {
+							const range = getPriceRange(t);
+							return range !== null && range.min <= $maxPrice;
+						});
+					}
+
+					// Trucks with their own times can leave early or arrive late,
+					// so the venue counts as open only while one of them is serving
+					const openIds = new Set(
+						venueTrucks
+							.filter(t => isVenueOpen(getTruckHours(t, v), $now))
+							.map(t => t.id)
+					);
+					const isOpen = venueTrucks.length > 0
+						? openIds.size > 0
+						: isVenueOpen(v.hours, $now);
+
+					if ($openOnly) {
+						filteredTrucks = filteredTrucks.filter(t => openIds.has(t.id));
+					}
 
+					// Best match first; the venue's score is its best truck's
+					let searchScore = 0;
 					if ($search) {
-						filteredTrucks = filteredTrucks.filter(t =>
-							t.name.toLowerCase().includes($search) ||
-							t.cuisine_label.toLowerCase().includes($search) ||
-							(t.id && t.id.toLowerCase().includes($search))
-						);
+						const scored = filteredTrucks
+							.map(t => ({ t, score: $search(t) }))
+							.filter(s => s.score > 0)
+							.sort((a, b) => b.score - a.score);
+						filteredTrucks = scored.map(s => s.t);
+						searchScore = scored.length > 0 ? scored[0].score : 0;
 					}
 
-					const isOpen = isVenueOpen(v.hours, $now);
-					return { venue: v, trucks: venueTrucks, filteredTrucks, isOpen };
+					return { venue: v, trucks: venueTrucks, filteredTrucks, cancelledTrucks, openIds, isOpen, searchScore };
 				})
 				.filter(d => $openOnly ? d.isOpen : true);
+
+			// While searching, venues with the best matches come first
+			return $search
+				? display.sort((a, b) => b.searchScore - a.searchScore)
+				: display;
 		}
 	);
 
@@ -100,9 +164,12 @@ export function createScheduleStores(dataStore) {
 		truckMap,
 		todaySchedule,
 		trucksByVenue,
+		cancelledByVenue,
 		allTrucksForDate,
 		cuisines,
+		hasPrices,
 		normalizedSearch,
+		truckSearch,
 		venueDisplayData,
 		totalVisible
 	};
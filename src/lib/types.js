@@ -1,3 +1,10 @@
+/**
+ * Shapes of the data files and the records in them. trucks.json and
+ * schedule.json have JSON Schemas (static/data/schema/); `node
+ * scripts/validate.js` fails when a typedef here drifts from its schema
+ * definition of the same name.
+ */
+
 /**
  * @typedef {Object} Venue
  * @property {string} id
@@ -11,15 +18,26 @@
  * @property {string} note
  */
 
+/**
+ * @typedef {Object} MenuItem
+ * @property {string} name
+ * @property {number} [price] - Yen, when the source lists it
+ */
+
 /**
  * @typedef {Object} Truck
  * @property {string} id
  * @property {string} name
- * @property {string} cuisine
+ * @property {string} [name_en] - Romanized/English name, shown when the UI is in English
+ * @property {string} cuisine - Primary cuisine, a CUISINE_MAP key
  * @property {string} cuisine_label
+ * @property {string[]} [cuisine_tags] - Secondary cuisines (e.g. a curry truck that also sells naan rolls)
+ * @property {number} [cuisine_confidence] - 0..1, set when the scraper classified the cuisine
  * @property {string} contact_instagram
  * @property {boolean} accepts_preorder
  * @property {string} url
+ * @property {MenuItem[]} [menu] - Scraped from the truck's detail page
+ * @property {string} [description]
  */
 
 /**
@@ -27,12 +45,79 @@
  * @property {string} date
  * @property {string} venue_id
  * @property {string} truck_id
+ * @property {string} [start] - Truck's own service start (HH:MM), when the source lists it
+ * @property {string} [end] - Truck's own service end (HH:MM)
+ * @property {string} [cancelled] - ISO timestamp of the scrape that found the truck dropped from its venue's listing
+ * @property {string} [source_url] - Venue page the entry was scraped from
+ * @property {string} [parser] - Scraper that parsed it ('generic', 'mellow')
+ * @property {string} [truck_name_raw] - Truck name as the source listed it
+ * @property {'alias'|'exact'|'substring'|'id'|'redirect'|'new'} [match_rule] - How the name was resolved to truck_id
+ * @property {string} [first_seen] - ISO timestamp of the first scrape that listed the entry
+ * @property {string} [last_seen] - ISO timestamp of the latest scrape that listed it
+ */
+
+/**
+ * A truck as scheduled on a given day, with its entry's service times.
+ * @typedef {Truck & Pick<ScheduleEntry, 'start' | 'end' | 'cancelled' | 'source_url' | 'last_seen'>} ScheduledTruck
+ */
+
+/**
+ * @typedef {Object} VenueCoverage
+ * @property {number} total_entries
+ * @property {number} days_with_data
+ * @property {number} weekdays_in_window
+ * @property {string[]} missing_weekdays
+ */
+
+/**
+ * @typedef {Object} DataQuality
+ * @property {number} total_entries
+ * @property {number} venues_scraped
+ * @property {number} weekdays_in_window
+ * @property {Record<string, VenueCoverage>} per_venue
+ */
+
+/**
+ * @typedef {Object} SourceRun
+ * @property {string} venue_id
+ * @property {'ok'|'error'} status
+ * @property {number} entries_count
+ * @property {string} [error] - Why the venue's scrape failed
  */
 
 /**
+ * static/data/trucks.json
+ * @typedef {Object} TrucksFile
+ * @property {1} schema_version
+ * @property {string} last_updated - YYYY-MM-DD
+ * @property {Venue[]} venues
+ * @property {Truck[]} trucks
+ * @property {Record<string, string>} [redirects] - Merged-away truck ID → the ID it now lives under
+ */
+
+/**
+ * static/data/schedule.json
+ * @typedef {Object} ScheduleFile
+ * @property {1} schema_version
+ * @property {string} last_updated - ISO timestamp of the scrape
+ * @property {string} week_start - First date of the scraped window
+ * @property {string} week_end - Last date of the scraped window
+ * @property {SourceRun[]} source_runs
+ * @property {DataQuality} data_quality
+ * @property {ScheduleEntry[]} schedule
+ */
+
+/**
+ * trucks.json and schedule.json combined, as every page loads them (lib/data.js).
  * @typedef {Object} ScheduleData
  * @property {string} last_updated
+ * @property {string} [week_start]
+ * @property {string} [week_end]
+ * @property {DataQuality} [data_quality]
  * @property {Venue[]} venues
  * @property {Truck[]} trucks
+ * @property {Record<string, string>} [redirects] - Merged-away truck ID → the ID it now lives under
  * @property {ScheduleEntry[]} schedule
  */
+
+export {};
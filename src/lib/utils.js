@@ -2,6 +2,8 @@
  * Shared utility functions used across components and stores.
  */
 
+import { localeFor } from './i18n.js';
+
 /**
  * Format a Date as YYYY-MM-DD in local timezone (avoids UTC offset issues).
  * @param {Date} d
@@ -15,12 +17,14 @@ export function formatDateISO(d) {
 }
 
 /**
- * Format a Date for display in Japanese locale (e.g., "2月18日 12:30").
+ * Format a Date for display in the UI language's locale
+ * (e.g., "2月18日 12:30" in Japanese, "Feb 18, 12:30 PM" in English).
  * @param {Date} d
+ * @param {import('./i18n').Language} [lang]
  * @returns {string}
  */
-export function formatDateJP(d) {
-	return d.toLocaleString('ja-JP', {
+export function formatDateJP(d, lang = 'ja') {
+	return d.toLocaleString(localeFor(lang), {
 		month: 'short',
 		day: 'numeric',
 		hour: '2-digit',
@@ -28,6 +32,23 @@ export function formatDateJP(d) {
 	});
 }
 
+/**
+ * How long ago a time was, in the UI language's words
+ * (e.g. "2時間前", "2 hours ago"), to the largest whole unit up to days.
+ * @param {Date} then
+ * @param {Date} now
+ * @param {import('./i18n').Language} [lang]
+ * @returns {string}
+ */
+export function formatTimeAgo(then, now, lang = 'ja') {
+	const rtf = new Intl.RelativeTimeFormat(localeFor(lang), { numeric: 'auto' });
+	const minutes = Math.round((now.getTime() - then.getTime()) / 60000);
+	if (Math.abs(minutes) < 60) return rtf.format(-minutes, 'minute');
+	const hours = Math.round(minutes / 60);
+	if (Math.abs(hours) < 24) return rtf.format(-hours, 'hour');
+	return rtf.format(-Math.round(hours / 24), 'day');
+}
+
 /**
  * Check if a venue is currently open based on its hours string.
  * @param {string} hoursStr - e.g. "11:00-14:00"
@@ -47,6 +68,39 @@ export function isVenueOpen(hoursStr, now = new Date()) {
 	return now >= startTime && now <= endTime;
 }
 
+/**
+ * Service hours for a truck at a venue: the truck's own times when the source
+ * listed them, otherwise the venue's hours.
+ * @param {{start?: string, end?: string}} truck - Truck, or schedule entry, with optional times
+ * @param {{hours: string}} venue
+ * @returns {string} e.g. "11:00-14:00"
+ */
+export function getTruckHours(truck, venue) {
+	return truck.start && truck.end ? `${truck.start}-${truck.end}` : venue.hours;
+}
+
+/**
+ * Cheapest and dearest listed price on a truck's menu.
+ * @param {{menu?: {price?: number}[]}} truck
+ * @returns {{min: number, max: number} | null} null when no item has a price
+ */
+export function getPriceRange(truck) {
+	const prices = (truck.menu || [])
+		.map(m => m.price)
+		.filter(p => typeof p === 'number');
+	if (prices.length === 0) return null;
+	return { min: Math.min(...prices), max: Math.max(...prices) };
+}
+
+/**
+ * Format a yen amount for display (e.g., "¥1,200").
+ * @param {number} price
+ * @returns {string}
+ */
+export function formatYen(price) {
+	return `¥${price.toLocaleString('ja-JP')}`;
+}
+
 /**
  * Build a Google Maps walking directions URL for a venue.
  * @param {{lat: number, lng: number}} venue
@@ -69,3 +123,62 @@ export function buildDays(from, count = 7) {
 		return formatDateISO(d);
 	});
 }
+
+/**
+ * Build the day picker's dates: from a given date through the end of the
+ * scraped window, at least a week, extended to the following Sunday so the
+ * picker's calendar-week pages end complete.
+ * @param {Date} from - Start date (today)
+ * @param {string} [until] - Last scraped date (schedule.json week_end)
+ * @returns {string[]} ISO date strings (YYYY-MM-DD)
+ */
+export function buildHorizon(from, until) {
+	const start = new Date(formatDateISO(from) + 'T00:00:00');
+	const span = until ? Math.round((new Date(until + 'T00:00:00').getTime() - start.getTime()) / 86400000) + 1 : 0;
+	const days = Math.max(7, span);
+	// Weekday of the last day, 0 = Sunday; pad up to it
+	const lastDay = (start.getDay() + days - 1) % 7;
+	return buildDays(from, days + ((7 - lastDay) % 7));
+}
+
+/**
+ * Short weekday name for a date in the UI language ("水" / "Wed").
+ * @param {Date} d
+ * @param {import('./i18n').Language} [lang]
+ * @returns {string}
+ */
+export function formatWeekday(d, lang = 'ja') {
+	return d.toLocaleDateString(localeFor(lang), { weekday: 'short' });
+}
+
+/**
+ * Format an ISO date as a short day label ("2/25（水）" / "Wed 2/25").
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {import('./i18n').Language} [lang]
+ * @returns {string}
+ */
+export function formatDayLabel(dateStr, lang = 'ja') {
+	const d = new Date(dateStr + 'T00:00:00');
+	const date = `${d.getMonth() + 1}/${d.getDate()}`;
+	const weekday = formatWeekday(d, lang);
+	return lang === 'en' ? `${weekday} ${date}` : `${date}（${weekday}）`;
+}
+
+/**
+ * List a truck's appearances on or after a date, soonest first, with their
+ * venues and service hours. Cancelled appearances are kept and flagged.
+ * @param {{venues: import('./types').Venue[], schedule: import('./types').ScheduleEntry[]}} data
+ * @param {string} truckId
+ * @param {string} fromDate - ISO date; earlier entries are skipped
+ * @returns {{date: string, venue: import('./types').Venue, hours: string, cancelled: boolean}[]}
+ */
+export function getUpcomingAppearances(data, truckId, fromDate) {
+	const venueMap = new Map(data.venues.map(v => [v.id, v]));
+	return data.schedule
+		.filter(e => e.truck_id === truckId && e.date >= fromDate && venueMap.has(e.venue_id))
+		.map(e => {
+			const venue = /** @type {import('./types').Venue} */ (venueMap.get(e.venue_id));
+			return { date: e.date, venue, hours: getTruckHours(e, venue), cancelled: Boolean(e.cancelled) };
+		})
+		.sort((a, b) => a.date.localeCompare(b.date) || a.venue.id.localeCompare(b.venue.id));
+}
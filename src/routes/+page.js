@@ -1,17 +1,20 @@
+import { browser } from '$app/environment';
+import { loadScheduleData, loadCachedScheduleData } from '$lib/data.js';
+
 /** @type {import('./$types').PageLoad} */
 export async function load({ fetch }) {
-    const [trucksRes, scheduleRes] = await Promise.all([
-        fetch('/data/trucks.json'),
-        fetch('/data/schedule.json')
-    ]);
-    const trucksData = await trucksRes.json();
-    const scheduleData = await scheduleRes.json();
-    return {
-        schedule: {
-            last_updated: scheduleData.last_updated,
-            venues: trucksData.venues,
-            trucks: trucksData.trucks,
-            schedule: scheduleData.schedule
-        }
-    };
+    try {
+        return {
+            schedule: await loadScheduleData(fetch),
+            offline: false
+        };
+    } catch (err) {
+        // Offline with nothing from the service worker: use the last good copy
+        const cached = browser ? await loadCachedScheduleData() : null;
+        if (!cached) throw err;
+        return {
+            schedule: cached,
+            offline: true
+        };
+    }
 }
@@ -0,0 +1,35 @@
+import { error } from '@sveltejs/kit';
+import { loadScheduleData, resolveTruckId } from '$lib/data.js';
+import { buildCalendar, scheduleEvents } from '$lib/ics.js';
+import trucksData from '../../../../../static/data/trucks.json';
+
+export const prerender = true;
+
+/** @type {Record<string, string>} */
+const redirects = /** @type {any} */ (trucksData).redirects || {};
+
+/**
+ * Prerender a feed for every truck in trucks.json. Merged-away IDs get a copy
+ * of their new truck's feed, since calendar apps don't follow a redirect page.
+ * @type {import('./$types').EntryGenerator}
+ */
+export function entries() {
+    return [...trucksData.trucks.map(t => t.id), ...Object.keys(redirects)].map(id => ({ id }));
+}
+
+/**
+ * Every appearance of one truck, as an iCalendar feed.
+ * @type {import('./$types').RequestHandler}
+ */
+export async function GET({ fetch, params }) {
+    const data = await loadScheduleData(fetch);
+    const id = resolveTruckId(params.id, data.redirects);
+    const truck = data.trucks.find(t => t.id === id);
+    if (!truck) error(404, `Truck not found: ${params.id}`);
+
+    const events = scheduleEvents(data, data.schedule.filter(e => e.truck_id === truck.id));
+    const ics = buildCalendar(`${truck.name} — Otemachi Eats`, events, new Date(data.last_updated));
+    return new Response(ics, {
+        headers: { 'Content-Type': 'text/calendar; charset=utf-8' }
+    });
+}
@@ -0,0 +1,31 @@
+import { error } from '@sveltejs/kit';
+import { loadScheduleData } from '$lib/data.js';
+import { buildCalendar, scheduleEvents } from '$lib/ics.js';
+import trucksData from '../../../../../static/data/trucks.json';
+
+export const prerender = true;
+
+/**
+ * Prerender a feed for every venue in trucks.json.
+ * @type {import('./$types').EntryGenerator}
+ */
+export function entries() {
+    return trucksData.venues.map(v => ({ id: v.id }));
+}
+
+/**
+ * Every scheduled truck at one venue, as an iCalendar feed.
+ * @type {import('./$types').RequestHandler}
+ */
+export async function GET({ fetch, params }) {
+    const data = await loadScheduleData(fetch);
+    const venue = data.venues.find(v => v.id === params.id);
+    if (!venue) error(404, `Venue not found: ${params.id}`);
+
+    const events = scheduleEvents(data, data.schedule.filter(e => e.venue_id === venue.id));
+    const name = venue.name_en ? `${venue.name} (${venue.name_en})` : venue.name;
+    const ics = buildCalendar(`${name} — Otemachi Eats`, events, new Date(data.last_updated));
+    return new Response(ics, {
+        headers: { 'Content-Type': 'text/calendar; charset=utf-8' }
+    });
+}
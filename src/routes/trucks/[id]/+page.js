@@ -0,0 +1,12 @@
+import { error, redirect } from '@sveltejs/kit';
+import { loadScheduleData, resolveTruckId } from '$lib/data.js';
+
+/** @type {import('./$types').PageLoad} */
+export async function load({ fetch, params }) {
+    const schedule = await loadScheduleData(fetch);
+    const id = resolveTruckId(params.id, schedule.redirects);
+    if (id !== params.id) redirect(308, `/trucks/${id}`);
+    const truck = schedule.trucks.find(t => t.id === params.id);
+    if (!truck) error(404, `Truck not found: ${params.id}`);
+    return { schedule, truck };
+}
@@ -0,0 +1,14 @@
+import trucksData from '../../../../static/data/trucks.json';
+
+/** @type {Record<string, string>} */
+const redirects = /** @type {any} */ (trucksData).redirects || {};
+
+/**
+ * Prerender a page for every truck in trucks.json, not only the ones
+ * the crawler reaches through today's lineup, plus a redirect page for
+ * every merged-away ID so old links keep working.
+ * @type {import('./$types').EntryGenerator}
+ */
+export function entries() {
+    return [...trucksData.trucks.map(t => t.id), ...Object.keys(redirects)].map(id => ({ id }));
+}
@@ -0,0 +1,10 @@
+import { error } from '@sveltejs/kit';
+import { loadScheduleData } from '$lib/data.js';
+
+/** @type {import('./$types').PageLoad} */
+export async function load({ fetch, params }) {
+    const schedule = await loadScheduleData(fetch);
+    const venue = schedule.venues.find(v => v.id === params.id);
+    if (!venue) error(404, `Venue not found: ${params.id}`);
+    return { schedule, venue };
+}
@@ -0,0 +1,9 @@
+import trucksData from '../../../../static/data/trucks.json';
+
+/**
+ * Prerender a page for every venue in trucks.json.
+ * @type {import('./$types').EntryGenerator}
+ */
+export function entries() {
+    return trucksData.venues.map(v => ({ id: v.id }));
+}
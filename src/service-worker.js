@@ -0,0 +1,176 @@
+/// <reference types="@sveltejs/kit" />
+/// <reference lib="webworker" />
+
+/**
+ * Offline support.
+ *
+ *   App shell  build output, the web app manifest and icons, and the home
+ *              page, precached per deploy; other same-origin GETs are
+ *              network-first with a cached fallback
+ *   Data       /data/*.json stale-while-revalidate; open pages are told to
+ *              reload when a background refresh brings newer data
+ *   Map tiles  cache-first, oldest tiles evicted past TILE_CACHE_BUDGET
+ */
+import { build, files, version } from '$service-worker';
+import { DATA_URLS, DATA_CACHE } from '$lib/data.js';
+
+const sw = /** @type {ServiceWorkerGlobalScope} */ (/** @type {unknown} */ (self));
+
+const SHELL_CACHE = `otemachi-shell-${version}`;
+const TILE_CACHE = 'otemachi-tiles';
+const TILE_HOST = /\.basemaps\.cartocdn\.com$/;
+
+/** Map tiles kept for offline use; a zoomed-in walk around Otemachi is ~2 MB */
+const TILE_CACHE_BUDGET = 20 * 1024 * 1024;
+/** Size assumed for tiles served without a content-length */
+const TILE_SIZE_ESTIMATE = 25 * 1024;
+/** Trim the tile cache after this many new tiles rather than on every one */
+const TILE_TRIM_INTERVAL = 20;
+
+/**
+ * Static files the app shell needs, listed rather than taking all of `files`:
+ * that would re-download everything under /data/ (history months, curation
+ * files, schemas) on every deploy, and `addAll` fails the install if any one
+ * fetch does. Only those present in this build are precached.
+ */
+const APP_FILES = ['/manifest.json', '/favicon.png'].filter(f => files.includes(f));
+
+const SHELL_ASSETS = ['/', ...build, ...APP_FILES];
+
+sw.addEventListener('install', event => {
+	event.waitUntil((async () => {
+		const shell = await caches.open(SHELL_CACHE);
+		await shell.addAll(SHELL_ASSETS);
+		// Seed the data cache so the first offline visit has something to show
+		const data = await caches.open(DATA_CACHE);
+		await Promise.all(DATA_URLS.map(async url => {
+			if (!(await data.match(url))) await data.add(url);
+		}));
+		await sw.skipWaiting();
+	})());
+});
+
+sw.addEventListener('activate', event => {
+	event.waitUntil((async () => {
+		// Data and tiles outlive deploys; only old app shells are dropped
+		for (const key of await caches.keys()) {
+			if (key.startsWith('otemachi-shell-') && key !== SHELL_CACHE) await caches.delete(key);
+		}
+		await sw.clients.claim();
+	})());
+});
+
+sw.addEventListener('fetch', event => {
+	const { request } = event;
+	if (request.method !== 'GET') return;
+
+	const url = new URL(request.url);
+	if (url.origin === sw.location.origin) {
+		if (DATA_URLS.includes(url.pathname)) {
+			event.respondWith(staleWhileRevalidate(event, url.pathname));
+		} else {
+			event.respondWith(networkFirst(request));
+		}
+	} else if (TILE_HOST.test(url.hostname)) {
+		event.respondWith(cachedTile(request));
+	}
+});
+
+/**
+ * Serve a data file from cache and refresh it in the background. With no
+ * cached copy, wait for the network.
+ * @param {FetchEvent} event
+ * @param {string} path - Cache key (query strings are ignored)
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, path) {
+	const cache = await caches.open(DATA_CACHE);
+	const cached = await cache.match(path);
+
+	const refresh = (async () => {
+		const res = await fetch(event.request, { cache: 'no-cache' });
+		if (!res.ok) return res;
+		const changed = cached && (await cached.clone().text()) !== (await res.clone().text());
+		await cache.put(path, res.clone());
+		if (changed) {
+			for (const client of await sw.clients.matchAll({ type: 'window' })) {
+				client.postMessage({ type: 'data-updated', path });
+			}
+		}
+		return res;
+	})();
+
+	if (cached) {
+		event.waitUntil(refresh.catch(() => {}));
+		return cached;
+	}
+	return refresh;
+}
+
+/**
+ * Network first, falling back to the cache (precached shell, or a page seen
+ * earlier). Successful same-origin responses are kept for next time.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+	const cache = await caches.open(SHELL_CACHE);
+	try {
+		const res = await fetch(request);
+		if (res.ok && res.type === 'basic') await cache.put(request, res.clone());
+		return res;
+	} catch (err) {
+		const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+		if (cached) return cached;
+		throw err;
+	}
+}
+
+let tilesSinceTrim = 0;
+
+/**
+ * Cache-first for map tiles. Only CORS responses are kept: an opaque one
+ * counts against the storage quota at a padded size the budget can't see.
+ * Failing to cache (e.g. quota exceeded) still returns the fetched tile.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cachedTile(request) {
+	const cache = await caches.open(TILE_CACHE);
+	const cached = await cache.match(request);
+	if (cached) return cached;
+
+	const res = await fetch(request);
+	if (res.ok) {
+		try {
+			await cache.put(request, res.clone());
+			if (++tilesSinceTrim >= TILE_TRIM_INTERVAL) {
+				tilesSinceTrim = 0;
+				await trimTileCache(cache);
+			}
+		} catch {
+			// Best effort: the tile is still shown, just not kept offline
+		}
+	}
+	return res;
+}
+
+/**
+ * Evict the oldest tiles until the cache fits TILE_CACHE_BUDGET.
+ * Cache keys come back in insertion order.
+ * @param {Cache} cache
+ */
+async function trimTileCache(cache) {
+	const keys = await cache.keys();
+	const sizes = await Promise.all(keys.map(async key => {
+		const res = await cache.match(key);
+		const length = Number(res?.headers.get('content-length'));
+		return length > 0 ? length : TILE_SIZE_ESTIMATE;
+	}));
+
+	let total = sizes.reduce((sum, size) => sum + size, 0);
+	for (let i = 0; i < keys.length && total > TILE_CACHE_BUDGET; i++) {
+		await cache.delete(keys[i]);
+		total -= sizes[i];
+	}
+}